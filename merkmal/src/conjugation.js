@@ -0,0 +1,59 @@
+// conjugation.js — verb conjugation tables (data/conjugations.json) and the
+// questions the conjugation and Partizip II drills ask from them.
+// No DOM, no localStorage.
+//
+// A table lists every form in full, so irregular verbs need nothing special
+// and separable verbs simply spell their particle out: anrufen's present is
+// ["rufe an", "rufst an", "ruft an", ...], its participle "angerufen".
+
+/** Row order of every table: ich, du, er/sie/es, wir, ihr, sie/Sie. */
+export const PERSONS = ['ich', 'du', 'er/sie/es', 'wir', 'ihr', 'sie/Sie'];
+
+/** Tenses the drills ask for, with the names shown to the player. */
+export const TENSES = { present: 'Präsens', past: 'Präteritum', perfect: 'Perfekt' };
+
+/** Present tense of the two auxiliaries, for the Perfekt. */
+const AUXILIARY_FORMS = {
+  haben: ['habe', 'hast', 'hat', 'haben', 'habt', 'haben'],
+  sein:  ['bin', 'bist', 'ist', 'sind', 'seid', 'sind'],
+};
+
+/**
+ * One form of a verb. The Perfekt is the auxiliary plus the participle
+ * ("hast gegessen", "ist gegangen").
+ *
+ * @param {{ auxiliary: 'haben'|'sein', participle: string,
+ *           present: string[], past: string[] }} table
+ * @param {'present'|'past'|'perfect'} tense
+ * @param {number} person  Index into PERSONS.
+ * @returns {string}
+ */
+export function conjugate(table, tense, person) {
+  if (tense === 'perfect') return `${AUXILIARY_FORMS[table.auxiliary][person]} ${table.participle}`;
+  return table[tense][person];
+}
+
+/**
+ * Turn a verb into a question for a random person and one of the given
+ * tenses. The result is the verb entry with word replaced by the form to
+ * type, so it's graded like any other verb; id stays the verb's, so the
+ * review schedule tracks the verb rather than each of its forms.
+ *
+ * @param {{ id: string, word: string, emoji: string, hints: string[] }} verb
+ * @param {object} table  See conjugate().
+ * @param {Array<'present'|'past'|'perfect'>} tenses
+ * @param {() => number} [random=Math.random]
+ * @returns {{ id: string, word: string, infinitive: string, prompt: string,
+ *             emoji: string, hints: string[] }}
+ *          prompt names the person and tense ("du · Präteritum").
+ */
+export function conjugationQuestion(verb, table, tenses, random = Math.random) {
+  const tense  = tenses[Math.floor(random() * tenses.length)];
+  const person = Math.floor(random() * PERSONS.length);
+  return {
+    ...verb,
+    word:       conjugate(table, tense, person),
+    infinitive: verb.word,
+    prompt:     `${PERSONS[person]} · ${TENSES[tense]}`,
+  };
+}
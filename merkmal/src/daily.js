@@ -0,0 +1,82 @@
+// daily.js — pure helpers for the daily noun challenge.
+// The seed comes from the date, so everyone playing on the same day gets the
+// same nouns in the same order. No DOM, no localStorage.
+
+import { hashSeed, createRng, shuffle, isPass } from './utils.js';
+
+/** Nouns per daily challenge. */
+export const DAILY_COUNT = 20;
+
+/** Squares per row in the shareable grid. */
+const ROW_LENGTH = 5;
+
+/** One square per answer in the shareable grid. */
+export const DAILY_MARKS = {
+  correct: '🟩',
+  article: '🟨', // Right noun, wrong article
+  wrong:   '🟥',
+  skip:    '⬜',
+};
+
+/**
+ * The challenge key for a date: its UTC calendar day as YYYY-MM-DD.
+ * UTC rather than local time, so players in different time zones who
+ * compare results are always talking about the same puzzle.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export function dailyKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Pick the day's nouns with a PRNG seeded from the key. The input is sorted
+ * by id first, so load order can't change the result.
+ *
+ * @param {Array<{id: string}>} nouns
+ * @param {string} key  See dailyKey().
+ * @returns {Array}
+ */
+export function pickDailyWords(nouns, key) {
+  const random = createRng(hashSeed(`merkmal:${key}`));
+  const sorted = [...nouns].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  return shuffle(sorted, random).slice(0, DAILY_COUNT);
+}
+
+/**
+ * The marking every daily answer is graded with, whatever the player's own
+ * setting: shared results are only comparable if everyone is marked alike.
+ */
+export const DAILY_MARKING = 'strict';
+
+/**
+ * Turn a graded answer into its grid mark, under DAILY_MARKING. A wrong or
+ * missing article on an otherwise passing noun is an 'article' miss —
+ * spacing is ignored there, since "Mann" on its own has no article to space.
+ *
+ * @param {ReturnType<typeof import('./utils.js').gradeAnswer>} grade
+ * @returns {'correct'|'article'|'wrong'}
+ */
+export function dailyMark(grade) {
+  if (isPass(grade, DAILY_MARKING)) return 'correct';
+  const nounPasses = isPass({ ...grade, articleCorrect: true, spacingOk: true }, DAILY_MARKING);
+  return grade.articleCorrect === false && nounPasses ? 'article' : 'wrong';
+}
+
+/**
+ * Build the shareable result: a title line with the score, then the marks as
+ * an emoji grid.
+ *
+ * @param {string} key
+ * @param {Array<'correct'|'article'|'wrong'|'skip'>} marks
+ * @returns {string}
+ */
+export function formatDailyResult(key, marks) {
+  const score = marks.filter(m => m === 'correct').length;
+  const rows = [];
+  for (let i = 0; i < marks.length; i += ROW_LENGTH) {
+    rows.push(marks.slice(i, i + ROW_LENGTH).map(m => DAILY_MARKS[m]).join(''));
+  }
+  return [`merkmal daily ${key} — ${score}/${DAILY_COUNT}`, ...rows].join('\n');
+}
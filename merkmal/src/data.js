@@ -39,3 +39,8 @@ export function loadWords() {
 export function loadVerbs() {
   return loadWordFile('data/verbs.json', 'verb list');
 }
+
+/** Fetch and return the conjugation tables from data/conjugations.json (see conjugation.js). */
+export function loadConjugations() {
+  return loadWordFile('data/conjugations.json', 'conjugation tables');
+}
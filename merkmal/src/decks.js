@@ -0,0 +1,322 @@
+// decks.js — custom word decks imported from CSV, JSON or an Anki
+// plain-text export. Every entry is turned into the words.json/verbs.json
+// schema and checked against the same rules as the structural-integrity
+// suites in test.html, so a deck plays exactly like the built-in lists.
+// No DOM, no localStorage.
+
+import { ARTICLES } from './utils.js';
+
+/** Category ids of decks start with this ('deck:medical'). */
+export const DECK_PREFIX = 'deck:';
+
+/** Shown for imported words, which rarely come with an emoji of their own. */
+export const DEFAULT_EMOJI = '📇';
+
+/** Header names accepted for each column of a CSV deck. */
+const COLUMN_NAMES = {
+  word:    ['word', 'german', 'deutsch', 'front'],
+  article: ['article', 'artikel'],
+  hints:   ['hints', 'english', 'meaning', 'translation', 'back'],
+  emoji:   ['emoji'],
+  id:      ['id'],
+  rank:    ['rank'],
+};
+
+/** Anki's names for the #separator header. */
+const ANKI_SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ' };
+
+/**
+ * @param {string} category
+ * @returns {boolean} true for a custom deck's category.
+ */
+export function isDeckCategory(category) {
+  return typeof category === 'string' && category.startsWith(DECK_PREFIX);
+}
+
+/**
+ * An ASCII id for a word, in the style of the built-in lists ("können" → "koennen").
+ *
+ * @param {string} word
+ * @returns {string}
+ */
+export function wordId(word) {
+  return transliterate(word).replace(/[^a-z]/g, '');
+}
+
+/** Lowercase ASCII spelling: umlauts and ß spelt out, other accents dropped. */
+function transliterate(text) {
+  return text.toLowerCase()
+    .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * The id a deck word's mistakes are logged under. Deck words take the same
+ * ids as the built-in nouns ("herz"), so without the deck's category in
+ * front the stats would merge the two words' mistakes.
+ *
+ * @param {string} category  The deck's category ('deck:medical').
+ * @param {string} id        The word's id within the deck.
+ * @returns {string} e.g. 'deck:medical:herz'.
+ */
+export function deckWordId(category, id) {
+  return `${category}:${id}`;
+}
+
+/**
+ * A category id for a new deck, unique among the existing ones.
+ *
+ * @param {string} name   The deck's name (usually its file name).
+ * @param {string[]} taken  Ids already in use.
+ * @returns {string} e.g. 'deck:medical', or 'deck:medical-2' when that's taken.
+ */
+export function deckId(name, taken) {
+  const slug = transliterate(name)
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'deck';
+  let id = `${DECK_PREFIX}${slug}`;
+  for (let n = 2; taken.includes(id); n++) id = `${DECK_PREFIX}${slug}-${n}`;
+  return id;
+}
+
+/**
+ * Check one entry against the rules every word list follows.
+ *
+ * @param {object} entry
+ * @param {'nouns'|'verbs'} kind
+ * @returns {string[]} What's wrong with it; empty when it's valid.
+ */
+export function entryProblems(entry, kind) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return ['must be an object'];
+
+  const problems = [];
+  const { id, rank, word, emoji, hints } = entry;
+  if (typeof id !== 'string' || id.length === 0)       problems.push('id must be a non-empty string');
+  if (typeof rank !== 'number')                         problems.push('rank must be a number');
+  if (typeof word !== 'string' || word.length === 0)   problems.push('word must be a non-empty string');
+  if (typeof emoji !== 'string' || emoji.length === 0) problems.push('emoji must be a non-empty string');
+  if (!Array.isArray(hints) || hints.length === 0) {
+    problems.push('hints must be a non-empty array');
+  } else if (!hints.every(h => typeof h === 'string' && h.trim().length > 0)) {
+    problems.push('all hints must be non-empty strings');
+  }
+
+  if (kind === 'nouns') {
+    if (!ARTICLES.includes(entry.article)) problems.push('article must be "der", "die", or "das"');
+    // Optional; "/" separates accepted spellings ("Banken/Bänke"), null means there's no such form
+    for (const form of ['plural', 'genitive']) {
+      const value = entry[form];
+      if (value !== undefined && value !== null
+          && (typeof value !== 'string' || value.split('/').some(w => w.trim().length === 0))) {
+        problems.push(`${form} must be a non-empty string or null`);
+      }
+    }
+  } else {
+    if (Object.prototype.hasOwnProperty.call(entry, 'article')) problems.push('must not have an article field');
+    if (typeof word === 'string' && word !== word.toLowerCase()) problems.push('word must be lowercase');
+    if (typeof id === 'string' && id.length > 0 && !/^[a-z]+$/.test(id)) {
+      problems.push('id must be lowercase ASCII letters only');
+    }
+  }
+  return problems;
+}
+
+/**
+ * Keep the valid entries of a deck and describe the rest.
+ *
+ * @param {Array<{ entry: object, where: string }>} rows  where locates the entry in the file ('line 4').
+ * @param {'nouns'|'verbs'} kind
+ * @returns {{ words: Array<object>, errors: string[] }}
+ */
+function checkEntries(rows, kind) {
+  const words  = [];
+  const errors = [];
+  const ids    = new Set();
+
+  for (const { entry, where } of rows) {
+    const problems = entryProblems(entry, kind);
+    if (problems.length === 0 && ids.has(entry.id)) problems.push(`duplicate id "${entry.id}"`);
+    if (problems.length > 0) {
+      errors.push(`${where}: ${problems.join('; ')}`);
+    } else {
+      ids.add(entry.id);
+      words.push(entry);
+    }
+  }
+  return { words, errors };
+}
+
+/** nouns when most entries have an article, verbs otherwise. */
+function majorityKind(entries) {
+  const withArticle = entries.filter(e => e && typeof e === 'object' && 'article' in e).length;
+  return withArticle * 2 >= entries.length ? 'nouns' : 'verbs';
+}
+
+/** Split "der Mann" into its article and word; other text is all word. */
+function splitArticle(text) {
+  const match = text.match(/^(der|die|das)\s+(\S.*)$/i);
+  return match ? { article: match[1].toLowerCase(), word: match[2].trim() } : { word: text };
+}
+
+/** Hints from one cell: "man; husband", "man | husband" or "man, husband". */
+function splitHints(text) {
+  return text.split(/[;|,]/).map(h => h.trim()).filter(Boolean);
+}
+
+/** Plain text of an Anki HTML field; line breaks and blocks become hint separators. */
+function stripHtml(text) {
+  return text
+    .replace(/<br\s*\/?>|<\/?(div|p|li)[^>]*>/gi, ';')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+    .replace(/;\s*(;\s*)+/g, '; ').replace(/^[;\s]+|[;\s]+$/g, '');
+}
+
+/**
+ * Split delimited text into records, honouring "quoted, fields" with ""
+ * escapes and line breaks inside quotes.
+ *
+ * @returns {Array<{ fields: string[], line: number }>} line is where the record starts.
+ */
+function splitRecords(text, separator) {
+  const records = [];
+  let fields = [], field = '', quoted = false, line = 1, start = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else { field += c; if (c === '\n') line++; }
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === separator) {
+      fields.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      fields.push(field);
+      records.push({ fields, line: start });
+      fields = [];
+      field = '';
+      start = ++line;
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    records.push({ fields, line: start });
+  }
+  return records.filter(r => r.fields.some(f => f.trim() !== ''));
+}
+
+/** The separator used most in the first line: tab, semicolon or comma. */
+function guessSeparator(firstLine) {
+  const counts = ['\t', ';', ','].map(s => [s, firstLine.split(s).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * Entries from a CSV file or an Anki "Notes in Plain Text" export.
+ *
+ * CSV decks may start with a header row naming their columns (see
+ * COLUMN_NAMES); without one, the columns are German ("der Mann"), English
+ * hints, and optionally an emoji. Anki exports are read the same way, after
+ * their #separator, #html and "#... column:" header lines.
+ */
+function parseDelimited(text) {
+  const lines   = text.split(/\r?\n/);
+  let separator = null, html = false;
+  const skipColumns = new Set(); // Anki's guid, notetype, deck and tags columns (0-based)
+  let headerLines = 0;
+  for (const line of lines) {
+    const directive = line.match(/^#([a-z ]+):(.*)$/i);
+    if (!directive) break;
+    const [, name, value] = directive;
+    const key = name.trim().toLowerCase();
+    if (key === 'separator') separator = ANKI_SEPARATORS[value.trim().toLowerCase()] ?? value.trim();
+    if (key === 'html') html = value.trim() === 'true';
+    if (key.endsWith(' column')) skipColumns.add(parseInt(value, 10) - 1);
+    headerLines++;
+  }
+
+  const body    = lines.slice(headerLines).join('\n');
+  const records = splitRecords(body, separator ?? guessSeparator(lines[headerLines] ?? ''))
+    .map(({ fields, line }) => ({
+      fields: fields.filter((_, i) => !skipColumns.has(i)).map(f => (html ? stripHtml(f) : f).trim()),
+      line:   line + headerLines,
+    }));
+  if (records.length === 0) throw new Error('The file has no words in it.');
+
+  // A header row names at least one known column
+  const header  = records[0].fields.map(f => f.toLowerCase());
+  const columns = {};
+  for (const [column, names] of Object.entries(COLUMN_NAMES)) {
+    const index = header.findIndex(h => names.includes(h));
+    if (index !== -1) columns[column] = index;
+  }
+  const hasHeader = Object.keys(columns).length > 0;
+  if (hasHeader && (columns.word === undefined || columns.hints === undefined)) {
+    throw new Error('The header row needs a word column and a hints column.');
+  }
+  const col = hasHeader ? columns : { word: 0, hints: 1, emoji: 2 };
+
+  return (hasHeader ? records.slice(1) : records).map(({ fields, line }, i) => {
+    const cell = name => col[name] === undefined ? '' : (fields[col[name]] ?? '');
+    const { article: inlineArticle, word } = splitArticle(cell('word'));
+    const article = cell('article').toLowerCase() || inlineArticle;
+    const rank    = cell('rank') === '' ? i + 1 : Number(cell('rank'));
+    const entry   = {
+      id:    cell('id') || wordId(word),
+      rank:  Number.isNaN(rank) ? cell('rank') : rank,
+      word,
+      emoji: cell('emoji') || DEFAULT_EMOJI,
+      hints: splitHints(cell('hints')),
+    };
+    if (article) entry.article = article;
+    return { entry, where: `line ${line}` };
+  });
+}
+
+/**
+ * Read a deck file and check every entry in it.
+ *
+ *   .json          — an array in the words.json or verbs.json schema
+ *   .csv/.tsv/.txt — CSV (comma, semicolon or tab separated), or an Anki
+ *                    "Notes in Plain Text" export
+ *
+ * Whether the deck is nouns or verbs follows most of its entries: a deck of
+ * nouns needs an article on every entry, a deck of verbs none.
+ *
+ * @param {string} text      The file's contents.
+ * @param {string} fileName  Used to tell the formats apart.
+ * @returns {{ kind: 'nouns'|'verbs', words: Array<object>, errors: string[] }}
+ *          errors say where each rejected entry is and what's wrong with it.
+ * @throws {Error} When the file as a whole can't be read.
+ */
+export function parseDeck(text, fileName) {
+  if (/\.(apkg|colpkg)$/i.test(fileName)) {
+    throw new Error('Anki packages can\'t be read here — export the deck as "Notes in Plain Text" instead.');
+  }
+
+  let rows;
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      throw new Error("The file isn't valid JSON.");
+    }
+    if (!Array.isArray(json)) throw new Error('A JSON deck must be an array of words.');
+    rows = json.map((entry, i) => ({ entry, where: `entry ${i + 1}` }));
+  } else {
+    rows = parseDelimited(text);
+  }
+  if (rows.length === 0) throw new Error('The file has no words in it.');
+
+  const kind = majorityKind(rows.map(r => r.entry));
+  return { kind, ...checkEntries(rows, kind) };
+}
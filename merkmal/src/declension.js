@@ -0,0 +1,100 @@
+// declension.js — the case drill. A noun is put into a sentence template
+// with a gap for its declined definite article ("mit ___ Tisch" → "dem"),
+// optionally with an adjective whose ending is asked for too
+// ("mit ___ (alt) Tisch" → "dem alten"). Answers are checked with
+// matchDeclension() in utils.js. No DOM, no localStorage.
+
+/** The definite article for each case and gender. */
+export const DEFINITE_ARTICLES = {
+  nominative: { der: 'der', die: 'die', das: 'das' },
+  accusative: { der: 'den', die: 'die', das: 'das' },
+  dative:     { der: 'dem', die: 'der', das: 'dem' },
+  genitive:   { der: 'des', die: 'der', das: 'des' },
+};
+
+/** Adjective endings after a definite article (weak declension). */
+export const WEAK_ENDINGS = {
+  nominative: { der: 'e',  die: 'e',  das: 'e' },
+  accusative: { der: 'en', die: 'e',  das: 'e' },
+  dative:     { der: 'en', die: 'en', das: 'en' },
+  genitive:   { der: 'en', die: 'en', das: 'en' },
+};
+
+/**
+ * Sentence templates: ___ is the gap, {noun} the noun declined for the case.
+ * Prepositions that contract with the article (zu → zum, von → vom, bei →
+ * beim) are left out, since the gap would have no single right answer.
+ */
+export const CASE_TEMPLATES = [
+  { text: 'hier ist ___ {noun}',    case: 'nominative' },
+  { text: 'wo ist ___ {noun}?',     case: 'nominative' },
+  { text: 'ich sehe ___ {noun}',    case: 'accusative' },
+  { text: 'ich brauche ___ {noun}', case: 'accusative' },
+  { text: 'für ___ {noun}',         case: 'accusative' },
+  { text: 'ohne ___ {noun}',        case: 'accusative' },
+  { text: 'mit ___ {noun}',         case: 'dative' },
+  { text: 'aus ___ {noun}',         case: 'dative' },
+  { text: 'außer ___ {noun}',       case: 'dative' },
+  { text: 'gegenüber ___ {noun}',   case: 'dative' },
+  { text: 'wegen ___ {noun}',       case: 'genitive' },
+  { text: 'trotz ___ {noun}',       case: 'genitive' },
+  { text: 'statt ___ {noun}',       case: 'genitive' },
+];
+
+/** Adjectives for the optional endings — no umlauts or ß, so only the ending can be wrong. */
+export const ADJECTIVES = ['alt', 'neu', 'klein', 'gut', 'rot', 'schwarz'];
+
+/**
+ * @param {{ article?: string, genitive?: string|null }} entry
+ * @returns {boolean} true when the noun has a singular to decline (not "die Leute").
+ */
+export function isDeclinable(entry) {
+  return Boolean(entry.article) && typeof entry.genitive === 'string' && entry.genitive.length > 0;
+}
+
+/**
+ * The singular of a noun in one case. The genitive comes from the data; nouns
+ * of the n-declension, whose genitive ends in -(e)n or -(e)ns instead of the
+ * word + s, also take -(e)n in the accusative and dative ("den Menschen",
+ * "dem Namen", "dem Herzen").
+ *
+ * @param {{ word: string, article: string, genitive: string }} entry  See isDeclinable().
+ * @param {'nominative'|'accusative'|'dative'|'genitive'} caseName
+ * @returns {string}
+ */
+export function declineNoun(entry, caseName) {
+  const genitive = entry.genitive.split('/')[0];
+  if (caseName === 'nominative') return entry.word;
+  if (caseName === 'genitive')   return genitive;
+  if (entry.article === 'die' || (entry.article === 'das' && caseName === 'accusative')) return entry.word;
+  if (genitive.endsWith('n')) return genitive;                                               // des Menschen
+  if (genitive.endsWith('ns') && genitive !== `${entry.word}s`) return genitive.slice(0, -1); // des Namens
+  return entry.word;
+}
+
+/**
+ * Turn a noun into a case-drill question from a random template. Like a
+ * conjugation question, it's the noun entry with the question added, so the
+ * review schedule still tracks the noun.
+ *
+ * @param {{ id: string, word: string, article: string, genitive: string }} entry  See isDeclinable().
+ * @param {{ adjectives?: boolean, random?: () => number }} [options]
+ *        adjectives also asks for an adjective's ending.
+ * @returns {object} The entry plus:
+ *          prompt   — the sentence with its gap ("mit ___ (alt) Tisch")
+ *          declined — the answer, as { article: 'dem', adjective: 'alten'|null }
+ *          phrase   — the completed sentence, shown on a miss ("mit dem alten Tisch")
+ */
+export function caseQuestion(entry, { adjectives = false, random = Math.random } = {}) {
+  const template  = CASE_TEMPLATES[Math.floor(random() * CASE_TEMPLATES.length)];
+  const article   = DEFINITE_ARTICLES[template.case][entry.article];
+  const base      = adjectives ? ADJECTIVES[Math.floor(random() * ADJECTIVES.length)] : null;
+  const adjective = base && base + WEAK_ENDINGS[template.case][entry.article];
+  const fill      = text => template.text.replace('___', text).replace('{noun}', declineNoun(entry, template.case));
+  return {
+    ...entry,
+    prompt:   fill(base ? `___ (${base})` : '___'),
+    declined: { article, adjective },
+    phrase:   fill(adjective ? `${article} ${adjective}` : article),
+  };
+}
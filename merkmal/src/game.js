@@ -1,21 +1,55 @@
 // game.js — game state and loop for Merkmal.
 
-import { loadWords, loadVerbs }                                from './data.js';
+import { loadWords, loadVerbs, loadConjugations }              from './data.js';
 import { showWord, playAnimation, updateStreak, updateTier,
          updateVignetteOpacity, updateHighScoreDisplay,
          setInputLocked, shakeInput, showAnswer, hideAnswer,
          showLoading, hideLoading, showLoadError,
          setActiveTab, setPlaceholder,
-         setActiveLevelBtn, showLevelBtns, hideLevelBtns }     from './renderer.js';
+         setActiveLevelBtn, showLevelBtns, hideLevelBtns,
+         showStats, hideStats, isStatsOpen,
+         updateMarkingToggle,
+         setArticleMode, revealArticle, clearArticleMarks,
+         setStreakLabel, setDailyMode, updateDailyProgress,
+         showDailyResult, hideDailyResult, isDailyResultOpen,
+         showCopyStatus, setDeckTabs,
+         showDecks, hideDecks, isDecksOpen,
+         showDeckList, showDeckReport,
+         updateAdjectivesToggle, showAdjectivesToggle,
+         updateSpeechToggle, setSpeechAvailable,
+         setListeningMode }                                    from './renderer.js';
 import { playCorrect, playMilestone, playWrong,
          playCompletion, unlockAudio }                         from './audio.js';
-import { matchAnswer, shuffle }                                from './utils.js';
+import { watchGermanVoice, speak, stopSpeaking }               from './speech.js';
+import { gradeAnswer, isPass, shuffle, expectedForm, matchDeclension,
+         matchEnglish, parseNounAnswer, classifyNounMistake }  from './utils.js';
+import { scheduleReview, getDueWords }                         from './review.js';
+import { countMistakeKinds, summariseArticleConfusions }       from './stats.js';
+import { DAILY_COUNT, dailyKey, pickDailyWords,
+         dailyMark, formatDailyResult }                        from './daily.js';
+import { parseDeck, deckId, deckWordId, isDeckCategory }       from './decks.js';
+import { conjugationQuestion }                                from './conjugation.js';
+import { caseQuestion, isDeclinable }                        from './declension.js';
 import { getHighScore, updateHighScore,
-         getNounLevel, setNounLevel }                          from './storage.js';
+         getNounLevel, setNounLevel,
+         getReviewSchedule, saveReviewSchedule,
+         getMistakeLog, recordMistake,
+         getMarking, setMarking,
+         getDailyProgress, saveDailyProgress,
+         getDecks, saveDecks, clearDeckData,
+         getCaseAdjectives, setCaseAdjectives,
+         getSpeech, setSpeech }                                from './storage.js';
 
 // ── Timing constants ──────────────────────────────────────────────────────────
 
-const UMLAUT_KEYS = { '1': 'ä', '2': 'ö', '3': 'ü', '4': 'ß' };
+const UMLAUT_KEYS  = { '1': 'ä', '2': 'ö', '3': 'ü', '4': 'ß' };
+const ARTICLE_KEYS = { '1': 'der', '2': 'die', '3': 'das' };
+
+// Categories that drill another form of the nouns (see expectedForm())
+const NOUN_FORMS = { plurals: 'plural', genitives: 'genitive' };
+
+// Categories that drill verb forms, and the tenses each asks for (see conjugation.js)
+const VERB_DRILLS = { conjugation: ['present', 'past'], participles: ['perfect'] };
 
 const TIMINGS = {
   CORRECT_MS:      550,
@@ -28,16 +62,34 @@ const TIMINGS = {
 
 const allWords = { nouns: [], verbs: [] };
 
+// Conjugation tables — verb id → table (see conjugation.js)
+const conjugations = new Map();
+
+// Imported word decks (see decks.js) — loaded once at startup, then kept in
+// step with storage as decks are added and deleted.
+let decks = [];
+
+// Review schedules per category — word id → card (see scheduleFor()).
+const schedules = {};
+
 // ── State ─────────────────────────────────────────────────────────────────────
 
 const state = {
-  category:   'nouns', // 'nouns' | 'verbs'
-  nounLevel:  1,       // 1 | 2 — only relevant when category === 'nouns'
+  category:   'nouns', // 'nouns' | 'verbs' | 'articles' | 'plurals' | 'genitives' | 'cases' |
+                       // 'conjugation' | 'participles' | 'english' | 'listening' | 'daily' | a deck's id
+  nounLevel:  1,       // 1 | 2 — used by the noun-based categories (all but verbs, daily and decks)
   words:      [],      // Active word pool for the current category + level
   remaining:  [],      // Shuffle queue — refilled when empty
   current:    null,    // Word currently being shown
   streak:     0,       // Correct answers in a row
   animating:  false,
+  marking:    'strict', // 'strict' | 'forgiving' — see isPass()
+  adjectives: false,   // Case drill also asks for adjective endings
+  speech:     true,    // Answers are spoken once revealed (see speech.js)
+  daily: {
+    key:   '',         // Challenge date (see dailyKey)
+    marks: [],         // 'correct' | 'article' | 'wrong' | 'skip' per answered noun
+  },
 };
 
 // ── Tier / vignette helpers ───────────────────────────────────────────────────
@@ -55,35 +107,150 @@ function vignetteForStreak(streak) {
 
 // ── Shared helpers ────────────────────────────────────────────────────────────
 
-/** Return words for a given noun level (rank 1–100 = lvl 1, 101–200 = lvl 2). */
+/**
+ * Return words for a given noun level (rank 1–100 = lvl 1, 101–200 = lvl 2).
+ * The plural and genitive drills leave out nouns without that form, and the
+ * case drill nouns without a singular.
+ */
 function nounWordsForLevel(level) {
-  return allWords.nouns.filter(w => level === 1 ? w.rank <= 100 : w.rank > 100);
+  const form = currentForm();
+  return allWords.nouns.filter(w => (level === 1 ? w.rank <= 100 : w.rank > 100)
+    && expectedForm(w, form) !== null
+    && (state.category !== 'cases' || isDeclinable(w)));
+}
+
+/** The form of the noun the active category asks for. */
+function currentForm() {
+  return NOUN_FORMS[state.category] ?? 'singular';
+}
+
+/**
+ * Every noun and verb, for German → English mode. Verb ids get a prefix so
+ * the verb "leben" and the noun "das Leben" keep separate review cards.
+ */
+function englishWords() {
+  return [...allWords.nouns, ...allWords.verbs.map(v => ({ ...v, id: `verb:${v.id}` }))];
+}
+
+/** True for the categories played with the noun list and its levels. */
+function isNounCategory(category) {
+  return category === 'nouns' || category === 'articles' || category === 'cases'
+    || category === 'listening' || category in NOUN_FORMS;
 }
 
-/** The full correct answer string shown on a miss ("der Mann", "haben", etc.). */
+/** The review schedule for a category, read from storage the first time it's needed. */
+function scheduleFor(category) {
+  schedules[category] ??= getReviewSchedule(category);
+  return schedules[category];
+}
+
+/** The full correct answer string shown on a miss ("der Mann", "die Männer", "haben", "mit dem Tisch", etc.). */
 function correctAnswerText(entry) {
-  return entry.article ? `${entry.article} ${entry.word}` : entry.word;
+  if (state.category === 'english') return entry.hints.join(' · ');
+  if (entry.phrase) return entry.phrase; // Case drill question
+  if (!entry.article) return entry.word;
+  const { article, words } = expectedForm(entry, currentForm());
+  return `${article} ${words[0]}`;
+}
+
+/**
+ * Say the current answer in German, if pronunciation is on. In German →
+ * English mode that's the German word rather than the English answer.
+ */
+function pronounce() {
+  if (!state.speech) return;
+  const { article, word } = state.current;
+  speak(state.category === 'english' ? (article ? `${article} ${word}` : word)
+    : correctAnswerText(state.current));
 }
 
 /**
  * Save the current streak as a high score for the active category if it's a
- * new record, then update the display. No-op when streak is 0.
+ * new record, then update the display. No-op when streak is 0, and in the
+ * daily challenge, which has no high score.
  */
 function persistStreakIfBest() {
-  if (state.streak > 0) {
+  if (state.category !== 'daily' && state.streak > 0) {
     updateHighScore(state.category, state.streak);
     updateHighScoreDisplay(getHighScore(state.category));
   }
 }
 
+/**
+ * Update and persist the current word's review card for the active category.
+ * No-op in the daily challenge so everyone's daily list stays identical.
+ *
+ * @param {boolean} correct
+ */
+function recordReview(correct) {
+  if (state.category === 'daily') return;
+  const schedule = scheduleFor(state.category);
+  const id       = state.current.id;
+  schedule[id] = scheduleReview(schedule[id], correct, Date.now());
+  saveReviewSchedule(state.category, schedule);
+}
+
+/**
+ * Parse a rejected noun answer and store it for the stats screen.
+ * Only answers whose article is the noun's gender count: nouns, der/die/das,
+ * listening, the daily challenge and noun decks. No-op for everything else
+ * (verbs, the plural, genitive and case drills, German → English) and for
+ * skips. der/die/das picks are logged too — they are exactly the article
+ * confusions the stats track.
+ *
+ * @param {string} raw
+ */
+function logNounMistake(raw) {
+  const { category } = state;
+  const gendered = category === 'nouns' || category === 'articles' || category === 'listening'
+    || category === 'daily' || isDeckCategory(category);
+  if (!state.current.article || !gendered || !raw.trim()) return;
+  const { article, noun } = parseNounAnswer(raw);
+  const { id } = state.current;
+  recordMistake({
+    id:           isDeckCategory(category) ? deckWordId(category, id) : id,
+    word:         state.current.word,
+    expected:     state.current.article,
+    typedArticle: article,
+    typedNoun:    noun,
+    kind:         classifyNounMistake(raw, state.current),
+    at:           Date.now(),
+  });
+}
+
 // ── Game loop ─────────────────────────────────────────────────────────────────
 
+/**
+ * Show the next word. Words that are due for review (most overdue first)
+ * jump the queue; otherwise the next word is popped from the shuffle queue.
+ * The daily challenge walks its fixed list instead.
+ */
 function advance() {
   if (state.words.length === 0) {
     showLoadError('No words available.');
     return;
   }
 
+  if (state.category === 'daily') {
+    updateDailyProgress(state.daily.marks.length, DAILY_COUNT);
+    if (isDailyDone()) {
+      finishDaily();
+    } else {
+      state.current = state.words[state.daily.marks.length];
+      showCurrent();
+    }
+    return;
+  }
+
+  const due = getDueWords(state.words, scheduleFor(state.category), Date.now())
+    .filter(w => !state.current || w.id !== state.current.id);
+  if (due.length > 0) {
+    state.current   = due[0];
+    state.remaining = state.remaining.filter(w => w.id !== state.current.id);
+    showCurrent();
+    return;
+  }
+
   if (state.remaining.length === 0) {
     const fresh = shuffle([...state.words]);
     // Avoid repeating the last-shown word at the front of a new queue
@@ -95,7 +262,35 @@ function advance() {
   }
 
   state.current = state.remaining.pop();
-  showWord(state.current);
+  showCurrent();
+}
+
+/**
+ * Render the current word. der/die/das mode also prints the noun itself,
+ * and the plural and genitive drills the singular they start from. The verb
+ * and case drills first turn the word into a question, printed instead.
+ */
+function showCurrent() {
+  clearArticleMarks();
+  if (state.category in VERB_DRILLS) {
+    const verb    = state.current;
+    state.current = conjugationQuestion(verb, conjugations.get(verb.id), VERB_DRILLS[state.category]);
+  } else if (state.category === 'cases') {
+    state.current = caseQuestion(state.current, { adjectives: state.adjectives });
+  }
+  const { article, word, prompt } = state.current;
+  if (state.category === 'articles')     showWord(state.current, word);
+  else if (state.category in NOUN_FORMS) showWord(state.current, `${article} ${word}`);
+  else if (prompt)                       showWord(state.current, prompt);
+  else if (state.category === 'english') {
+    showWord(state.current, article ? `${article} ${word}` : word, { hideMeaning: true });
+  } else if (state.category === 'listening') {
+    showWord(state.current, '', { hideMeaning: true });
+    // The voice went away after all — fall back to reading the noun
+    if (!speak(word)) showWord(state.current, word, { hideMeaning: true });
+  } else {
+    showWord(state.current);
+  }
 }
 
 function handleStreakReset(doShake) {
@@ -110,6 +305,7 @@ function handleStreakReset(doShake) {
   setInputLocked(true);
   if (doShake) shakeInput();
   showAnswer(correctAnswerText(state.current));
+  pronounce();
 
   setTimeout(() => {
     hideAnswer();
@@ -119,15 +315,51 @@ function handleStreakReset(doShake) {
   }, TIMINGS.STREAK_RESET_MS);
 }
 
+/**
+ * Mark an answer to the current word. slipped is true when only forgiving
+ * marking let it pass.
+ *
+ * @param {string} raw
+ * @returns {{ passed: boolean, slipped: boolean }}
+ */
+function judgeAnswer(raw) {
+  if (state.category === 'cases') {
+    return { passed: matchDeclension(raw, state.current.declined), slipped: false };
+  }
+  if (state.category === 'english') {
+    const others = state.words.filter(w => w.id !== state.current.id).flatMap(w => w.hints);
+    const result = matchEnglish(raw, state.current.hints, { others });
+    return { passed: result !== 'wrong', slipped: result === 'close' };
+  }
+  const caseInsensitive = !state.current.article; // Verbs, built in or from a deck
+  const grade = gradeAnswer(raw, state.current, { form: currentForm() });
+  return {
+    passed:  isPass(grade, state.marking, { caseInsensitive }),
+    slipped: !grade.nounCorrect && !(caseInsensitive && grade.caseOnly),
+  };
+}
+
 function handleGuess(raw) {
   if (state.animating) return;
 
+  if (state.category === 'daily') {
+    handleDailyGuess(raw);
+    return;
+  }
+
   if (!raw.trim()) {
+    recordReview(false);
     handleStreakReset(false); // Skip — no shake
     return;
   }
 
-  if (matchAnswer(raw, state.current, { caseInsensitive: state.category === 'verbs' })) {
+  const { passed, slipped } = judgeAnswer(raw);
+  if (passed) {
+    // Forgiving marking accepted a slip — show the exact spelling
+    if (slipped) showAnswer(correctAnswerText(state.current));
+    pronounce();
+
+    recordReview(true);
     state.streak += 1;
     state.animating = true;
 
@@ -162,6 +394,7 @@ function handleGuess(raw) {
             setInputLocked(false);
           }, TIMINGS.STREAK_RESET_MS);
         } else {
+          if (slipped) hideAnswer();
           advance();
           state.animating = false;
           setInputLocked(false);
@@ -171,6 +404,7 @@ function handleGuess(raw) {
       playCorrect().catch(e => console.error('[audio] playCorrect failed:', e));
       playAnimation('correct');
       setTimeout(() => {
+        if (slipped) hideAnswer();
         advance();
         state.animating = false;
         setInputLocked(false);
@@ -178,12 +412,100 @@ function handleGuess(raw) {
     }
 
   } else {
+    logNounMistake(raw);
+    recordReview(false);
     persistStreakIfBest();
     handleStreakReset(true);
   }
 }
 
-// ── Level switching (nouns only) ──────────────────────────────────────────────
+/**
+ * Answer a der/die/das question. Marks the buttons, then goes through the
+ * same path as a typed "article noun" answer.
+ *
+ * @param {'der'|'die'|'das'} article
+ */
+function handleArticle(article) {
+  if (state.category !== 'articles' || state.animating) return;
+  revealArticle(state.current.article, article);
+  handleGuess(`${article} ${state.current.word}`);
+}
+
+// ── Daily challenge ───────────────────────────────────────────────────────────
+
+function isDailyDone() {
+  return state.daily.marks.length >= DAILY_COUNT;
+}
+
+/** Load today's nouns and any answers already given today. */
+function loadDaily() {
+  state.daily.key   = dailyKey(new Date());
+  state.daily.marks = getDailyProgress(state.daily.key);
+  state.words       = pickDailyWords(allWords.nouns, state.daily.key);
+  state.streak      = state.daily.marks.filter(m => m === 'correct').length;
+}
+
+/**
+ * Process a daily-challenge answer. Each noun gets one answer; the day's
+ * progress is saved after every answer so a reload resumes where the player
+ * left off.
+ *
+ * @param {string} raw
+ */
+function handleDailyGuess(raw) {
+  if (isDailyDone()) {
+    showDailyResult(formatDailyResult(state.daily.key, state.daily.marks));
+    return;
+  }
+
+  const mark = raw.trim() ? dailyMark(gradeAnswer(raw, state.current)) : 'skip';
+  if (mark !== 'correct') logNounMistake(raw);
+  state.daily.marks.push(mark);
+  saveDailyProgress(state.daily.key, state.daily.marks);
+  state.animating = true;
+  setInputLocked(true);
+  showAnswer(correctAnswerText(state.current));
+  pronounce();
+
+  if (mark === 'correct') {
+    state.streak += 1;
+    updateStreak(state.streak);
+    playCorrect().catch(e => console.error('[audio] playCorrect failed:', e));
+    playAnimation('correct');
+  } else {
+    playWrong().catch(e => console.error('[audio] playWrong failed:', e));
+    if (mark !== 'skip') shakeInput();
+  }
+
+  setTimeout(() => {
+    hideAnswer();
+    state.animating = false;
+    setInputLocked(false);
+    advance();
+  }, mark === 'correct' ? TIMINGS.CORRECT_MS : TIMINGS.STREAK_RESET_MS);
+}
+
+/** All of today's nouns answered: lock the input and show the result. */
+function finishDaily() {
+  setInputLocked(true);
+  showAnswer('done for today — enter shows your result');
+  showDailyResult(formatDailyResult(state.daily.key, state.daily.marks));
+}
+
+/** Copy the result text to the clipboard for pasting into chat. */
+function copyDailyResult() {
+  const text = formatDailyResult(state.daily.key, state.daily.marks);
+  if (!navigator.clipboard) {
+    showCopyStatus(false);
+    return;
+  }
+  navigator.clipboard.writeText(text).then(
+    () => showCopyStatus(true),
+    () => showCopyStatus(false),
+  );
+}
+
+// ── Level switching (noun categories) ────────────────────────────────────────
 
 function switchLevel(newLevel) {
   if (newLevel === state.nounLevel) return;
@@ -202,7 +524,7 @@ function switchLevel(newLevel) {
   updateStreak(0);
   updateTier('easy');
   updateVignetteOpacity(0);
-  updateHighScoreDisplay(getHighScore('nouns'));
+  updateHighScoreDisplay(getHighScore(state.category));
   advance();
 }
 
@@ -213,32 +535,174 @@ function switchCategory(newCategory) {
   if (state.animating) return;
 
   persistStreakIfBest();
+  stopSpeaking();
 
   state.category  = newCategory;
   state.streak    = 0;
   state.remaining = [];
   state.current   = null;
+  hideAnswer();
+  hideDailyResult();
 
-  if (newCategory === 'nouns') {
+  if (newCategory === 'daily') {
+    loadDaily();
+    hideLevelBtns();
+    setPlaceholder('article noun...');
+  } else if (isNounCategory(newCategory)) {
     state.nounLevel = getNounLevel();
     state.words     = nounWordsForLevel(state.nounLevel);
     setActiveLevelBtn(state.nounLevel);
     showLevelBtns();
-    setPlaceholder('article noun...');
+    setPlaceholder(newCategory in NOUN_FORMS ? `${NOUN_FORMS[newCategory]}...`
+      : newCategory === 'cases' ? 'article...' : 'article noun...');
+  } else if (newCategory in VERB_DRILLS) {
+    state.words = allWords.verbs.filter(v => conjugations.has(v.id));
+    hideLevelBtns();
+    setPlaceholder(newCategory === 'participles' ? 'auxiliary participle...' : 'verb form...');
+  } else if (newCategory === 'english') {
+    state.words = englishWords();
+    hideLevelBtns();
+    setPlaceholder('english...');
+  } else if (isDeckCategory(newCategory)) {
+    const deck  = decks.find(d => d.id === newCategory);
+    state.words = deck.words;
+    hideLevelBtns();
+    setPlaceholder(deck.kind === 'nouns' ? 'article noun...' : 'word...');
   } else {
     state.words = allWords[newCategory];
     hideLevelBtns();
     setPlaceholder('verb...');
   }
 
+  setArticleMode(newCategory === 'articles');
+  showAdjectivesToggle(newCategory === 'cases');
+  setListeningMode(newCategory === 'listening');
+  setDailyMode(newCategory === 'daily');
+  setStreakLabel(newCategory === 'daily' ? 'score' : 'streak');
   setActiveTab(newCategory);
-  updateStreak(0);
+  updateStreak(state.streak);
   updateTier('easy');
   updateVignetteOpacity(0);
-  updateHighScoreDisplay(getHighScore(newCategory));
+  updateHighScoreDisplay(newCategory === 'daily' ? '–' : getHighScore(newCategory));
+  setInputLocked(false);
   advance();
 }
 
+// ── Word decks ────────────────────────────────────────────────────────────────
+
+function openDecks() {
+  showDeckList(decks);
+  showDecks();
+}
+
+/** Show the deck tabs again after the list changed, keeping the active one marked. */
+function refreshDecks() {
+  setDeckTabs(decks);
+  setActiveTab(state.category);
+  showDeckList(decks);
+}
+
+/**
+ * Read a deck file, keep its valid words as a new deck and report every
+ * entry that was rejected.
+ *
+ * @param {File} file
+ */
+async function importDeck(file) {
+  let parsed;
+  try {
+    parsed = parseDeck(await file.text(), file.name);
+  } catch (err) {
+    showDeckReport(err.message);
+    return;
+  }
+
+  const { kind, words, errors } = parsed;
+  const skipped = errors.length ? ` · ${errors.length} skipped` : '';
+  if (words.length === 0) {
+    showDeckReport(`nothing imported from ${file.name}${skipped}`, errors);
+    return;
+  }
+
+  const name = file.name.replace(/\.[^.]+$/, '');
+  const deck = { id: deckId(name, decks.map(d => d.id)), name, kind, words };
+  try {
+    saveDecks([...decks, deck]);
+  } catch {
+    showDeckReport(`${file.name} is too big to keep in this browser.`);
+    return;
+  }
+  decks.push(deck);
+  refreshDecks();
+  showDeckReport(`added "${name}": ${words.length} ${kind}${skipped}`, errors);
+}
+
+/**
+ * Delete a deck with its high score and review schedule. Playing it at the
+ * time switches back to nouns first.
+ *
+ * @param {string} id  The deck's category.
+ */
+function deleteDeck(id) {
+  if (state.category === id) {
+    if (state.animating) return;
+    switchCategory('nouns');
+  }
+  decks = decks.filter(d => d.id !== id);
+  saveDecks(decks);
+  clearDeckData(id);
+  delete schedules[id];
+  refreshDecks();
+}
+
+// ── Marking setting ───────────────────────────────────────────────────────────
+
+function toggleMarking() {
+  state.marking = state.marking === 'strict' ? 'forgiving' : 'strict';
+  setMarking(state.marking);
+  updateMarkingToggle(state.marking);
+  document.getElementById('guess-input').focus();
+}
+
+// ── Pronunciation ─────────────────────────────────────────────────────────────
+
+function toggleSpeech() {
+  state.speech = !state.speech;
+  setSpeech(state.speech);
+  updateSpeechToggle(state.speech);
+  if (!state.speech) stopSpeaking();
+  document.getElementById('guess-input').focus();
+}
+
+/** Say the listening-mode word again, cutting off anything still queued. */
+function replayWord() {
+  if (state.category !== 'listening' || !state.current) return;
+  stopSpeaking();
+  speak(state.current.word);
+  document.getElementById('guess-input').focus();
+}
+
+// ── Case drill adjectives ─────────────────────────────────────────────────────
+
+/** Switch adjective endings on or off; a question already showing is asked again. */
+function toggleAdjectives() {
+  state.adjectives = !state.adjectives;
+  setCaseAdjectives(state.adjectives);
+  updateAdjectivesToggle(state.adjectives);
+  if (state.category === 'cases' && !state.animating) showCurrent();
+  document.getElementById('guess-input').focus();
+}
+
+// ── Stats screen ──────────────────────────────────────────────────────────────
+
+function openStats() {
+  const log = getMistakeLog();
+  showStats({
+    kinds:      countMistakeKinds(log),
+    confusions: summariseArticleConfusions(log),
+  });
+}
+
 // ── Bootstrap ─────────────────────────────────────────────────────────────────
 
 function resetState() {
@@ -292,14 +756,59 @@ async function init() {
     });
   });
 
-  // Category tab buttons
-  document.querySelectorAll('.tab-btn').forEach(btn => {
+  document.getElementById('stats-btn').addEventListener('click', openStats);
+  document.getElementById('stats-close').addEventListener('click', hideStats);
+  document.getElementById('marking-btn').addEventListener('click', toggleMarking);
+  document.getElementById('adjectives-btn').addEventListener('click', toggleAdjectives);
+  document.getElementById('speech-btn').addEventListener('click', toggleSpeech);
+  document.getElementById('listen-btn').addEventListener('click', replayWord);
+  document.getElementById('daily-close').addEventListener('click', hideDailyResult);
+  document.getElementById('daily-copy').addEventListener('click', copyDailyResult);
+  document.addEventListener('keydown', e => {
+    if (e.key === 'Escape' && isStatsOpen()) hideStats();
+    if (e.key === 'Escape' && isDailyResultOpen()) hideDailyResult();
+    if (e.key === 'Escape' && isDecksOpen()) hideDecks();
+  });
+
+  const deckFile = document.getElementById('decks-file');
+  document.getElementById('decks-btn').addEventListener('click', openDecks);
+  document.getElementById('decks-close').addEventListener('click', hideDecks);
+  document.getElementById('decks-import').addEventListener('click', () => deckFile.click());
+  deckFile.addEventListener('change', () => {
+    if (deckFile.files.length > 0) importDeck(deckFile.files[0]);
+    deckFile.value = ''; // Picking the same file again still fires change
+  });
+  document.getElementById('decks-list').addEventListener('click', e => {
+    const btn = e.target.closest('.deck-delete');
+    if (btn) deleteDeck(btn.dataset.deck);
+  });
+
+  // der/die/das buttons and their 1/2/3 shortcuts (the input is hidden in
+  // that mode, so the umlaut shortcuts on the same keys never fire)
+  document.querySelectorAll('.article-btn').forEach(btn => {
     btn.addEventListener('click', () => {
       unlockAudio();
-      switchCategory(btn.dataset.category);
+      handleArticle(btn.dataset.article);
     });
   });
 
+  document.addEventListener('keydown', e => {
+    if (state.category !== 'articles' || isStatsOpen() || isDecksOpen()) return;
+    const article = ARTICLE_KEYS[e.key];
+    if (article) {
+      unlockAudio();
+      handleArticle(article);
+    }
+  });
+
+  // Category tab buttons — delegated, since deck tabs come and go
+  document.getElementById('category-tabs').addEventListener('click', e => {
+    const btn = e.target.closest('.tab-btn');
+    if (!btn) return;
+    unlockAudio();
+    switchCategory(btn.dataset.category);
+  });
+
   // Level buttons (nouns only)
   document.querySelectorAll('.level-btn').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -308,17 +817,29 @@ async function init() {
     });
   });
 
+  // Voices can take a moment to load; the game starts without waiting for them
+  watchGermanVoice(setSpeechAvailable);
+
   showLoading();
   try {
-    const [nouns, verbs] = await Promise.all([loadWords(), loadVerbs()]);
+    const [nouns, verbs, tables] = await Promise.all([loadWords(), loadVerbs(), loadConjugations()]);
     allWords.nouns = nouns;
     allWords.verbs = verbs;
+    for (const table of tables) conjugations.set(table.id, table);
+    decks = getDecks();
+    state.marking   = getMarking();
+    updateMarkingToggle(state.marking);
+    state.adjectives = getCaseAdjectives();
+    updateAdjectivesToggle(state.adjectives);
+    state.speech = getSpeech();
+    updateSpeechToggle(state.speech);
 
     state.category  = 'nouns';
     state.nounLevel = getNounLevel();
     state.words     = nounWordsForLevel(state.nounLevel);
 
     hideLoading();
+    setDeckTabs(decks);
     setActiveTab('nouns');
     setActiveLevelBtn(state.nounLevel);
     setPlaceholder('article noun...');
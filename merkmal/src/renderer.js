@@ -1,9 +1,13 @@
 // renderer.js — all DOM mutations live here.
 // game.js decides WHAT to do; renderer.js decides HOW to show it.
 
+import { escapeHtml } from './utils.js';
+
 const wordDisplay    = document.getElementById('word-display');
 const wordEmoji      = document.getElementById('word-emoji');
+const wordNoun       = document.getElementById('word-noun');
 const wordHints      = document.getElementById('word-hints');
+const listenBtn      = document.getElementById('listen-btn');
 const streakCount    = document.getElementById('streak-count');
 const highScoreCount = document.getElementById('high-score-count');
 const guessInput     = document.getElementById('guess-input');
@@ -17,12 +21,19 @@ function clearAnimationClasses() {
  * Display a new word: large emoji + hint line.
  * Clears any active animation class so the new word appears clean.
  *
- * @param {{ emoji: string, hints: string[] }} word
+ * @param {{ emoji: string, hints: string[], word: string }} word
+ * @param {string} [german='']  German printed under the emoji: the noun in
+ *                              der/die/das mode, "der Mann" in the plural and genitive drills.
+ * @param {{ hideMeaning?: boolean }} [options]
+ *        hideMeaning leaves out the emoji and hints, which would give the
+ *        answer away in German → English mode, and prints the German large.
  */
-export function showWord(word) {
+export function showWord(word, german = '', { hideMeaning = false } = {}) {
   clearAnimationClasses();
-  wordEmoji.textContent = word.emoji;
-  wordHints.textContent = word.hints.join(' · ');
+  wordDisplay.classList.toggle('meaning-hidden', hideMeaning);
+  wordEmoji.textContent = hideMeaning ? '' : word.emoji;
+  wordNoun.textContent  = german;
+  wordHints.textContent = hideMeaning ? '' : word.hints.join(' · ');
 }
 
 /**
@@ -42,6 +53,15 @@ export function updateStreak(n) {
   streakCount.textContent = n;
 }
 
+/**
+ * Relabel the streak counter — "score" in the daily challenge, where a miss
+ * doesn't reset it.
+ * @param {'streak'|'score'} label
+ */
+export function setStreakLabel(label) {
+  document.getElementById('streak-label').textContent = label;
+}
+
 export function updateHighScoreDisplay(score) {
   highScoreCount.textContent = score;
 }
@@ -94,6 +114,7 @@ export function hideAnswer() {
 
 export function showLoading() {
   wordEmoji.textContent  = '';
+  wordNoun.textContent   = '';
   wordHints.textContent  = '';
   feedback.textContent   = 'loading…';
   feedback.classList.add('reveal');
@@ -127,7 +148,7 @@ export function showLoadError(message, onRetry) {
 
 /**
  * Mark the given category's tab as active; deactivate all others.
- * @param {'nouns'|'verbs'} category
+ * @param {'nouns'|'verbs'|'articles'|'daily'|string} category  Or a deck's category.
  */
 export function setActiveTab(category) {
   document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -135,6 +156,23 @@ export function setActiveTab(category) {
   });
 }
 
+/**
+ * Replace the custom deck tabs, which sit after the built-in ones.
+ * @param {Array<{ id: string, name: string }>} decks
+ */
+export function setDeckTabs(decks) {
+  document.querySelectorAll('.tab-btn.deck-tab').forEach(btn => btn.remove());
+  const markingBtn = document.getElementById('marking-btn');
+  for (const deck of decks) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'tab-btn deck-tab';
+    btn.dataset.category = deck.id;
+    btn.textContent = deck.name;
+    markingBtn.before(btn);
+  }
+}
+
 /**
  * Update the input placeholder text (e.g. "noun..." vs "verb...").
  * @param {string} text
@@ -153,6 +191,142 @@ export function setActiveLevelBtn(level) {
   });
 }
 
+/**
+ * Show the current marking setting on its toggle button.
+ * @param {'strict'|'forgiving'} marking
+ */
+export function updateMarkingToggle(marking) {
+  document.getElementById('marking-btn').textContent = `marking: ${marking}`;
+}
+
+/**
+ * Show the case drill's adjective setting on its toggle button.
+ * @param {boolean} on
+ */
+export function updateAdjectivesToggle(on) {
+  document.getElementById('adjectives-btn').textContent = `adjectives: ${on ? 'on' : 'off'}`;
+}
+
+/**
+ * Show the pronunciation setting on its toggle button.
+ * @param {boolean} on
+ */
+export function updateSpeechToggle(on) {
+  document.getElementById('speech-btn').textContent = `speech: ${on ? 'on' : 'off'}`;
+}
+
+/**
+ * Offer pronunciation and the listening tab once a German voice is found;
+ * without one, the tab stays disabled and says why.
+ * @param {boolean} available
+ */
+export function setSpeechAvailable(available) {
+  const tab = document.querySelector('.tab-btn[data-category="listening"]');
+  tab.disabled = !available;
+  tab.title    = available ? '' : 'no German voice is installed in this browser';
+  document.getElementById('speech-btn').hidden = !available;
+}
+
+/**
+ * Show or hide the replay button that stands in for the word in listening mode.
+ * @param {boolean} enabled
+ */
+export function setListeningMode(enabled) {
+  listenBtn.hidden = !enabled;
+}
+
+/**
+ * Show or hide the adjective toggle — only the case drill uses it.
+ * @param {boolean} visible
+ */
+export function showAdjectivesToggle(visible) {
+  document.getElementById('adjectives-btn').hidden = !visible;
+}
+
+// ── Daily challenge ───────────────────────────────────────────────────────────
+
+const dailyProgress = document.getElementById('daily-progress');
+const dailyPanel    = document.getElementById('daily-panel');
+const dailyCopy     = document.getElementById('daily-copy');
+
+/**
+ * Show or hide the daily progress counter in the header.
+ * @param {boolean} enabled
+ */
+export function setDailyMode(enabled) {
+  dailyProgress.hidden = !enabled;
+}
+
+/**
+ * Update the daily progress counter ("7/20").
+ * @param {number} done
+ * @param {number} total
+ */
+export function updateDailyProgress(done, total) {
+  document.getElementById('daily-progress-count').textContent = `${done}/${total}`;
+}
+
+/**
+ * Open the daily result panel with the shareable result text.
+ * @param {string} text  See formatDailyResult().
+ */
+export function showDailyResult(text) {
+  document.getElementById('daily-result').textContent = text;
+  dailyCopy.textContent = 'copy result';
+  dailyPanel.hidden = false;
+}
+
+/** Close the daily result panel and return focus to the guess input. */
+export function hideDailyResult() {
+  dailyPanel.hidden = true;
+  guessInput.focus();
+}
+
+/** @returns {boolean} true while the daily result panel is open. */
+export function isDailyResultOpen() {
+  return !dailyPanel.hidden;
+}
+
+/**
+ * Report the outcome of a copy on the copy button.
+ * @param {boolean} copied  false when the clipboard was unavailable.
+ */
+export function showCopyStatus(copied) {
+  dailyCopy.textContent = copied ? 'copied!' : 'select the text to copy';
+}
+
+// ── der/die/das mode ──────────────────────────────────────────────────────────
+
+const articleBtns = [...document.querySelectorAll('.article-btn')];
+
+/**
+ * Switch between free-text input and the der/die/das buttons.
+ * @param {boolean} enabled  true to show the buttons instead of the input.
+ */
+export function setArticleMode(enabled) {
+  document.getElementById('input-area').hidden  = enabled;
+  document.getElementById('umlaut-bar').hidden  = enabled;
+  document.getElementById('skip-hint').hidden   = enabled;
+  document.getElementById('article-bar').hidden = !enabled;
+}
+
+/**
+ * Mark the correct article button green and, if different, the picked one red.
+ * @param {string} correct  'der' | 'die' | 'das'
+ * @param {string} picked
+ */
+export function revealArticle(correct, picked) {
+  articleBtns.forEach(btn => {
+    btn.classList.toggle('right', btn.dataset.article === correct);
+    btn.classList.toggle('wrong', btn.dataset.article === picked && picked !== correct);
+  });
+}
+
+/** Clear the right/wrong marking from the article buttons. */
+export function clearArticleMarks() {
+  articleBtns.forEach(btn => btn.classList.remove('right', 'wrong'));
+}
+
 export function showLevelBtns() {
   document.getElementById('level-tabs').style.display = 'flex';
 }
@@ -160,3 +334,111 @@ export function showLevelBtns() {
 export function hideLevelBtns() {
   document.getElementById('level-tabs').style.display = 'none';
 }
+
+// ── Stats panel ───────────────────────────────────────────────────────────────
+
+const statsPanel   = document.getElementById('stats-panel');
+const statsContent = document.getElementById('stats-content');
+
+const MISTAKE_LABELS = {
+  'article':    'wrong article',
+  'noun':       'misspelled noun',
+  'both':       'both wrong',
+  'no-article': 'article missing',
+};
+
+/**
+ * Open the stats panel with the mistake summaries (see stats.js).
+ *
+ * @param {{ kinds: Object<string, number>, confusions: Array }} stats
+ */
+export function showStats({ kinds, confusions }) {
+  const total = Object.values(kinds).reduce((sum, n) => sum + n, 0);
+
+  if (total === 0) {
+    statsContent.innerHTML = '<p class="empty">no noun mistakes recorded yet.</p>';
+  } else {
+    const kindRows = Object.entries(MISTAKE_LABELS).map(([kind, label]) => `
+      <tr><td>${label}</td><td class="num">${kinds[kind]}</td>
+          <td class="num">${Math.round((kinds[kind] / total) * 100)}%</td></tr>`).join('');
+
+    const confusionRows = confusions.length === 0
+      ? '<p class="empty">no article confusions yet.</p>'
+      : `<table>
+          <tr><th>correct → typed</th><th class="num">×</th><th>nouns</th></tr>
+          ${confusions.map(c => `
+          <tr><td>${c.expected} → ${c.typed}</td><td class="num">${c.count}</td>
+              <td class="words">${c.words.slice(0, 8).map(w =>
+                `${escapeHtml(w.word)}${w.count > 1 ? ` ×${w.count}` : ''}`).join(', ')}</td></tr>`).join('')}
+        </table>`;
+
+    statsContent.innerHTML = `
+      <h3>mistake types</h3>
+      <table>${kindRows}</table>
+      <h3>gender confusions</h3>
+      ${confusionRows}
+    `;
+  }
+  statsPanel.hidden = false;
+}
+
+/** Close the stats panel and return focus to the guess input. */
+export function hideStats() {
+  statsPanel.hidden = true;
+  guessInput.focus();
+}
+
+/** @returns {boolean} true while the stats panel is open. */
+export function isStatsOpen() {
+  return !statsPanel.hidden;
+}
+
+// ── Word decks panel ──────────────────────────────────────────────────────────
+
+const decksPanel  = document.getElementById('decks-panel');
+const decksReport = document.getElementById('decks-report');
+
+/** Problems listed before the rest are summed up in one line. */
+const DECK_ERROR_LIMIT = 30;
+
+/**
+ * List the imported decks, each with a delete button (data-deck holds its id).
+ * @param {Array<{ id: string, name: string, kind: string, words: Array }>} decks
+ */
+export function showDeckList(decks) {
+  document.getElementById('decks-list').innerHTML = decks.length === 0
+    ? '<li class="empty">no decks yet.</li>'
+    : decks.map(d => `
+      <li><span>${escapeHtml(d.name)}<span class="deck-size">${d.words.length} ${d.kind}</span></span>
+          <button class="deck-delete" type="button" data-deck="${escapeHtml(d.id)}">delete</button></li>`).join('');
+}
+
+/**
+ * Report how an import went, listing every rejected entry.
+ *
+ * @param {string}   message  One-line summary.
+ * @param {string[]} [errors] See parseDeck().
+ */
+export function showDeckReport(message, errors = []) {
+  const shown = errors.slice(0, DECK_ERROR_LIMIT);
+  if (errors.length > DECK_ERROR_LIMIT) shown.push(`…and ${errors.length - DECK_ERROR_LIMIT} more`);
+  decksReport.innerHTML = `<p>${escapeHtml(message)}</p>`
+    + (shown.length ? `<ul>${shown.map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>` : '');
+}
+
+/** Open the decks panel with an empty report. */
+export function showDecks() {
+  decksReport.innerHTML = '';
+  decksPanel.hidden = false;
+}
+
+/** Close the decks panel and return focus to the guess input. */
+export function hideDecks() {
+  decksPanel.hidden = true;
+  guessInput.focus();
+}
+
+/** @returns {boolean} true while the decks panel is open. */
+export function isDecksOpen() {
+  return !decksPanel.hidden;
+}
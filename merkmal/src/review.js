@@ -0,0 +1,78 @@
+// review.js — pure spaced-repetition scheduling, keyed by word id.
+// A simplified SM-2: every answer is graded pass/fail, correct answers grow
+// the interval by the card's ease factor, misses reset it and lower the ease.
+// No DOM, no localStorage — persistence lives in storage.js.
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const REVIEW_DEFAULTS = {
+  EASE:         2.5,    // Starting ease factor (SM-2 default)
+  MIN_EASE:     1.3,    // Ease never drops below this, or intervals stop growing
+  EASE_BONUS:   0.1,    // Added to ease on every correct answer
+  EASE_PENALTY: 0.2,    // Subtracted from ease on every miss
+  RELEARN_MS:   60_000, // A missed word comes back after one minute
+};
+
+/**
+ * Return a fresh schedule card for a word that has never been answered.
+ * @returns {{ ease: number, interval: number, due: number, lapses: number, reps: number }}
+ */
+export function newCard() {
+  return { ease: REVIEW_DEFAULTS.EASE, interval: 0, due: 0, lapses: 0, reps: 0 };
+}
+
+/**
+ * Apply one answer to a schedule card and return the updated card.
+ * Never mutates the input card.
+ *
+ * Correct: interval goes 1 day → 6 days → interval × ease.
+ * Miss:    interval resets to 0, lapse count increments, due in RELEARN_MS.
+ *
+ * @param {object|undefined} card     Existing card, or undefined for a new word.
+ * @param {boolean}          correct
+ * @param {number}           now      Timestamp in ms (Date.now()).
+ * @returns {{ ease: number, interval: number, due: number, lapses: number, reps: number }}
+ */
+export function scheduleReview(card, correct, now) {
+  const prev = card ?? newCard();
+
+  if (!correct) {
+    return {
+      ease:     Math.max(REVIEW_DEFAULTS.MIN_EASE, prev.ease - REVIEW_DEFAULTS.EASE_PENALTY),
+      interval: 0,
+      due:      now + REVIEW_DEFAULTS.RELEARN_MS,
+      lapses:   prev.lapses + 1,
+      reps:     0,
+    };
+  }
+
+  const reps = prev.reps + 1;
+  let interval;
+  if (reps === 1)      interval = 1;
+  else if (reps === 2) interval = 6;
+  else                 interval = Math.round(prev.interval * prev.ease);
+
+  return {
+    ease:     prev.ease + REVIEW_DEFAULTS.EASE_BONUS,
+    interval,
+    due:      now + interval * DAY_MS,
+    lapses:   prev.lapses,
+    reps,
+  };
+}
+
+/**
+ * Return the words whose card is due, most overdue first.
+ * Words that have never been answered have no card and are never due —
+ * they reach the player through the normal shuffle queue instead.
+ *
+ * @param {Array<{id: string}>} words
+ * @param {Object<string, {due: number}>} schedule  Keyed by word id.
+ * @param {number} now
+ * @returns {Array}
+ */
+export function getDueWords(words, schedule, now) {
+  return words
+    .filter(w => schedule[w.id] && schedule[w.id].due <= now)
+    .sort((a, b) => schedule[a.id].due - schedule[b.id].due);
+}
@@ -0,0 +1,78 @@
+// speech.js — German pronunciation through the browser's speechSynthesis.
+// Most browsers list their voices asynchronously, so watchGermanVoice()
+// reports when one turns up. Without the API or a German voice, speak() does
+// nothing and returns false — the game checks that rather than assuming
+// the word was heard.
+
+/** How long to wait for the voice list before concluding there is no German voice. */
+const VOICE_WAIT_MS = 2000;
+
+let voice = null;
+
+/**
+ * The best German voice: Germany's German first, then any other (de-AT,
+ * de-CH). Some platforms write the language as "de_DE".
+ *
+ * @param {Array<{ lang: string }>} voices  See speechSynthesis.getVoices().
+ * @returns {object|null}
+ */
+export function pickGermanVoice(voices) {
+  const german = voices.filter(v => /^de([-_]|$)/i.test(v.lang ?? ''));
+  return german.find(v => /^de[-_]de$/i.test(v.lang)) ?? german[0] ?? null;
+}
+
+/**
+ * Report whether German can be spoken, and again whenever that changes —
+ * Chrome, for one, lists its online voices only after a while. An empty
+ * voice list is given VOICE_WAIT_MS to fill before it counts as no voice.
+ *
+ * @param {(available: boolean) => void} onChange
+ */
+export function watchGermanVoice(onChange) {
+  const synth = globalThis.speechSynthesis;
+  if (!synth || typeof SpeechSynthesisUtterance === 'undefined') {
+    onChange(false);
+    return;
+  }
+
+  let available = null;
+  const update = () => {
+    voice = pickGermanVoice(synth.getVoices());
+    if ((voice !== null) === available) return;
+    available = voice !== null;
+    onChange(available);
+  };
+
+  synth.addEventListener?.('voiceschanged', update);
+  if (synth.getVoices().length > 0) update();
+  setTimeout(() => { if (available === null) update(); }, VOICE_WAIT_MS);
+}
+
+/**
+ * Say German text. Utterances queue behind one another, so an answer still
+ * being spoken isn't cut off by the next word.
+ *
+ * @param {string} text
+ * @returns {boolean} false when there is no German voice to say it with.
+ */
+export function speak(text) {
+  const synth = globalThis.speechSynthesis;
+  if (!voice || !synth) return false;
+  try {
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.voice = voice;
+    utterance.lang  = voice.lang;
+    utterance.rate  = 0.9;
+    synth.speak(utterance);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Drop anything still queued, e.g. when leaving a category. */
+export function stopSpeaking() {
+  try {
+    globalThis.speechSynthesis?.cancel();
+  } catch { /* no-op */ }
+}
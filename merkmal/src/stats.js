@@ -0,0 +1,49 @@
+// stats.js — pure aggregation over the noun mistake log.
+// No DOM, no localStorage — the log is passed in explicitly.
+
+/**
+ * Count how often each mistake kind occurs (see classifyNounMistake).
+ *
+ * @param {Array<{kind: string}>} log
+ * @returns {{ article: number, noun: number, both: number, 'no-article': number }}
+ */
+export function countMistakeKinds(log) {
+  const counts = { article: 0, noun: 0, both: 0, 'no-article': 0 };
+  for (const entry of log) {
+    if (entry.kind in counts) counts[entry.kind] += 1;
+  }
+  return counts;
+}
+
+/**
+ * Group wrong-article answers by confusion pair (correct article → typed
+ * article), most frequent first, each with the nouns that caused it.
+ * Only entries with a typed article that differs from the correct one count,
+ * so misspelled nouns with the right article are excluded.
+ *
+ * @param {Array<{id: string, word: string, expected: string, typedArticle: string|null}>} log
+ * @returns {Array<{ expected: string, typed: string, count: number,
+ *                   words: Array<{ id: string, word: string, count: number }> }>}
+ */
+export function summariseArticleConfusions(log) {
+  const pairs = new Map();
+
+  for (const entry of log) {
+    if (!entry.typedArticle || entry.typedArticle === entry.expected) continue;
+
+    const key = `${entry.expected}→${entry.typedArticle}`;
+    let pair = pairs.get(key);
+    if (!pair) {
+      pair = { expected: entry.expected, typed: entry.typedArticle, count: 0, words: new Map() };
+      pairs.set(key, pair);
+    }
+    pair.count += 1;
+    const word = pair.words.get(entry.id) ?? { id: entry.id, word: entry.word, count: 0 };
+    word.count += 1;
+    pair.words.set(entry.id, word);
+  }
+
+  return [...pairs.values()]
+    .map(pair => ({ ...pair, words: [...pair.words.values()].sort((a, b) => b.count - a.count) }))
+    .sort((a, b) => b.count - a.count);
+}
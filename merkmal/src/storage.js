@@ -1,26 +1,69 @@
 // storage.js — pure localStorage helpers, no DOM, fully testable.
 
-export const NOUN_HIGH_SCORE_KEY = 'merkmal_nouns_high_score';
-export const VERB_HIGH_SCORE_KEY = 'merkmal_verbs_high_score';
-export const NOUN_LEVEL_KEY      = 'merkmal_nouns_level';
+import { DECK_PREFIX, isDeckCategory } from './decks.js';
+
+export const NOUN_HIGH_SCORE_KEY        = 'merkmal_nouns_high_score';
+export const VERB_HIGH_SCORE_KEY        = 'merkmal_verbs_high_score';
+export const ARTICLE_HIGH_SCORE_KEY     = 'merkmal_articles_high_score';
+export const PLURAL_HIGH_SCORE_KEY      = 'merkmal_plurals_high_score';
+export const GENITIVE_HIGH_SCORE_KEY    = 'merkmal_genitives_high_score';
+export const CONJUGATION_HIGH_SCORE_KEY = 'merkmal_conjugation_high_score';
+export const PARTICIPLE_HIGH_SCORE_KEY  = 'merkmal_participles_high_score';
+export const CASE_HIGH_SCORE_KEY        = 'merkmal_cases_high_score';
+export const ENGLISH_HIGH_SCORE_KEY     = 'merkmal_english_high_score';
+export const LISTENING_HIGH_SCORE_KEY   = 'merkmal_listening_high_score';
+export const NOUN_LEVEL_KEY             = 'merkmal_nouns_level';
+export const NOUN_REVIEW_KEY            = 'merkmal_nouns_review';
+export const VERB_REVIEW_KEY            = 'merkmal_verbs_review';
+export const ARTICLE_REVIEW_KEY         = 'merkmal_articles_review';
+export const PLURAL_REVIEW_KEY          = 'merkmal_plurals_review';
+export const GENITIVE_REVIEW_KEY        = 'merkmal_genitives_review';
+export const CONJUGATION_REVIEW_KEY     = 'merkmal_conjugation_review';
+export const PARTICIPLE_REVIEW_KEY      = 'merkmal_participles_review';
+export const CASE_REVIEW_KEY            = 'merkmal_cases_review';
+export const ENGLISH_REVIEW_KEY         = 'merkmal_english_review';
+export const LISTENING_REVIEW_KEY       = 'merkmal_listening_review';
+
+/**
+ * Return the localStorage key for one kind of data kept for a custom deck
+ * ('deck:medical', 'review' → 'merkmal_deck_medical_review').
+ *
+ * @param {string} category  A deck's category (see isDeckCategory()).
+ * @param {'high_score'|'review'} suffix
+ * @returns {string}
+ */
+export function deckKey(category, suffix) {
+  return `merkmal_deck_${category.slice(DECK_PREFIX.length)}_${suffix}`;
+}
 
 /**
  * Return the localStorage key for a given category.
  * Throws on unknown categories so callers fail fast rather than silently.
  *
- * @param {'nouns'|'verbs'} category
+ * @param {string} category  'nouns', 'verbs', 'articles', 'plurals', 'genitives',
+ *                           'conjugation', 'participles', 'cases', 'english', 'listening',
+ *                           or a deck's category.
  * @returns {string}
  */
 function scoreKey(category) {
-  if (category === 'nouns') return NOUN_HIGH_SCORE_KEY;
-  if (category === 'verbs') return VERB_HIGH_SCORE_KEY;
+  if (category === 'nouns')       return NOUN_HIGH_SCORE_KEY;
+  if (category === 'verbs')       return VERB_HIGH_SCORE_KEY;
+  if (category === 'articles')    return ARTICLE_HIGH_SCORE_KEY;
+  if (category === 'plurals')     return PLURAL_HIGH_SCORE_KEY;
+  if (category === 'genitives')   return GENITIVE_HIGH_SCORE_KEY;
+  if (category === 'conjugation') return CONJUGATION_HIGH_SCORE_KEY;
+  if (category === 'participles') return PARTICIPLE_HIGH_SCORE_KEY;
+  if (category === 'cases')       return CASE_HIGH_SCORE_KEY;
+  if (category === 'english')     return ENGLISH_HIGH_SCORE_KEY;
+  if (category === 'listening')   return LISTENING_HIGH_SCORE_KEY;
+  if (isDeckCategory(category)) return deckKey(category, 'high_score');
   throw new Error(`Unknown category: ${category}`);
 }
 
 /**
  * Return the all-time high score for a category, or 0 if none stored yet.
  *
- * @param {'nouns'|'verbs'} category
+ * @param {'nouns'|'verbs'|'articles'} category
  * @returns {number}
  */
 export function getHighScore(category) {
@@ -32,7 +75,7 @@ export function getHighScore(category) {
  * Update the stored high score for a category if streak is a new record.
  * No-op if streak <= current high score.
  *
- * @param {'nouns'|'verbs'} category
+ * @param {'nouns'|'verbs'|'articles'} category
  * @param {number} streak
  * @returns {boolean} true if a new record was set
  */
@@ -57,3 +100,209 @@ export function getNounLevel() {
 export function setNounLevel(level) {
   localStorage.setItem(NOUN_LEVEL_KEY, level);
 }
+
+/**
+ * Return the localStorage key for a category's review schedule.
+ * Throws on unknown categories, mirroring scoreKey().
+ *
+ * @param {string} category  'nouns', 'verbs', 'articles', 'plurals', 'genitives',
+ *                           'conjugation', 'participles', 'cases', 'english', 'listening',
+ *                           or a deck's category.
+ * @returns {string}
+ */
+function reviewKey(category) {
+  if (category === 'nouns')       return NOUN_REVIEW_KEY;
+  if (category === 'verbs')       return VERB_REVIEW_KEY;
+  if (category === 'articles')    return ARTICLE_REVIEW_KEY;
+  if (category === 'plurals')     return PLURAL_REVIEW_KEY;
+  if (category === 'genitives')   return GENITIVE_REVIEW_KEY;
+  if (category === 'conjugation') return CONJUGATION_REVIEW_KEY;
+  if (category === 'participles') return PARTICIPLE_REVIEW_KEY;
+  if (category === 'cases')       return CASE_REVIEW_KEY;
+  if (category === 'english')     return ENGLISH_REVIEW_KEY;
+  if (category === 'listening')   return LISTENING_REVIEW_KEY;
+  if (isDeckCategory(category)) return deckKey(category, 'review');
+  throw new Error(`Unknown category: ${category}`);
+}
+
+/**
+ * Return the review schedule for a category: word id → card (see review.js).
+ * Returns an empty schedule when nothing is stored or the data is corrupt.
+ *
+ * @param {'nouns'|'verbs'|'articles'|string} category  Or a deck's category.
+ * @returns {Object<string, object>}
+ */
+export function getReviewSchedule(category) {
+  const key = reviewKey(category);
+  try {
+    const parsed = JSON.parse(localStorage.getItem(key));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Persist the full review schedule for a category.
+ *
+ * @param {'nouns'|'verbs'|'articles'} category
+ * @param {Object<string, object>} schedule
+ */
+export function saveReviewSchedule(category, schedule) {
+  localStorage.setItem(reviewKey(category), JSON.stringify(schedule));
+}
+
+export const MISTAKE_LOG_KEY   = 'merkmal_nouns_mistakes';
+export const MISTAKE_LOG_LIMIT = 2000; // Oldest entries are dropped beyond this
+
+/**
+ * Return every recorded noun mistake, oldest first.
+ * Each entry: { id, word, expected, typedArticle, typedNoun, kind, at }.
+ * Returns an empty log when nothing is stored or the data is corrupt.
+ * @returns {Array<object>}
+ */
+export function getMistakeLog() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(MISTAKE_LOG_KEY));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Append one mistake to the log, trimming the oldest entries past
+ * MISTAKE_LOG_LIMIT so localStorage never grows without bound.
+ *
+ * @param {object} entry
+ */
+export function recordMistake(entry) {
+  const log = getMistakeLog();
+  log.push(entry);
+  localStorage.setItem(MISTAKE_LOG_KEY, JSON.stringify(log.slice(-MISTAKE_LOG_LIMIT)));
+}
+
+export const MARKING_KEY = 'merkmal_marking';
+
+/**
+ * Return the marking setting: 'strict' (exact spelling) or 'forgiving'
+ * (capitalisation, umlaut and spacing slips pass). Defaults to 'strict'.
+ * @returns {'strict'|'forgiving'}
+ */
+export function getMarking() {
+  return localStorage.getItem(MARKING_KEY) === 'forgiving' ? 'forgiving' : 'strict';
+}
+
+/**
+ * Persist the marking setting.
+ * @param {'strict'|'forgiving'} marking
+ */
+export function setMarking(marking) {
+  localStorage.setItem(MARKING_KEY, marking);
+}
+
+export const CASE_ADJECTIVES_KEY = 'merkmal_cases_adjectives';
+
+/**
+ * Return whether the case drill also asks for adjective endings. Defaults to false.
+ * @returns {boolean}
+ */
+export function getCaseAdjectives() {
+  return localStorage.getItem(CASE_ADJECTIVES_KEY) === 'true';
+}
+
+/**
+ * Persist the case drill's adjective setting.
+ * @param {boolean} on
+ */
+export function setCaseAdjectives(on) {
+  localStorage.setItem(CASE_ADJECTIVES_KEY, on);
+}
+
+export const SPEECH_KEY = 'merkmal_speech';
+
+/**
+ * Return whether answers are spoken aloud once revealed. Defaults to true.
+ * @returns {boolean}
+ */
+export function getSpeech() {
+  return localStorage.getItem(SPEECH_KEY) !== 'false';
+}
+
+/**
+ * Persist the pronunciation setting.
+ * @param {boolean} on
+ */
+export function setSpeech(on) {
+  localStorage.setItem(SPEECH_KEY, on);
+}
+
+export const DAILY_KEY = 'merkmal_daily';
+
+const DAILY_MARK_VALUES = ['correct', 'article', 'wrong', 'skip'];
+
+/**
+ * Return the answers given so far in the daily challenge for `key`.
+ * Progress from any other day, or corrupt data, counts as no progress.
+ *
+ * @param {string} key  See dailyKey() in daily.js.
+ * @returns {Array<'correct'|'article'|'wrong'|'skip'>}
+ */
+export function getDailyProgress(key) {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(DAILY_KEY));
+    if (!parsed || parsed.key !== key || !Array.isArray(parsed.marks)) return [];
+    return parsed.marks.filter(m => DAILY_MARK_VALUES.includes(m));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Persist the daily challenge answers. Only the current day is kept.
+ *
+ * @param {string} key
+ * @param {Array<'correct'|'article'|'wrong'|'skip'>} marks
+ */
+export function saveDailyProgress(key, marks) {
+  localStorage.setItem(DAILY_KEY, JSON.stringify({ key, marks }));
+}
+
+export const DECKS_KEY = 'merkmal_decks';
+
+/**
+ * Return every imported deck (see decks.js), in the order they were added.
+ * Decks that don't have the expected shape are dropped; corrupt data counts
+ * as no decks.
+ *
+ * @returns {Array<{ id: string, name: string, kind: 'nouns'|'verbs', words: Array<object> }>}
+ */
+export function getDecks() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(DECKS_KEY));
+    if (!Array.isArray(parsed)) return [];
+    return parsed.filter(d => d && isDeckCategory(d.id) && typeof d.name === 'string'
+      && (d.kind === 'nouns' || d.kind === 'verbs') && Array.isArray(d.words) && d.words.length > 0);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Persist the full list of decks. Throws if localStorage is full, so the
+ * caller can tell the player the deck wasn't kept.
+ *
+ * @param {Array<object>} decks
+ */
+export function saveDecks(decks) {
+  localStorage.setItem(DECKS_KEY, JSON.stringify(decks));
+}
+
+/**
+ * Delete a deck's high score and review schedule, once the deck is gone.
+ * @param {string} category  The deck's category.
+ */
+export function clearDeckData(category) {
+  localStorage.removeItem(deckKey(category, 'high_score'));
+  localStorage.removeItem(deckKey(category, 'review'));
+}
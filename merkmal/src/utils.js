@@ -1,7 +1,7 @@
 // utils.js — pure, side-effect-free helper functions.
 
 /**
- * Check whether a player's raw input matches a word entry.
+ * Check whether a player's raw input matches a word entry under strict marking.
  *
  * Rules:
  *   - Trim surrounding whitespace
@@ -12,34 +12,394 @@
  *   - Verbs (no `article` field): exact match by default; case-insensitive
  *     when caseInsensitive option is true
  *   - No umlaut normalisation — ä/ö/ü/ß must be typed correctly
+ *   - form 'plural' or 'genitive' checks that form of a noun instead
+ *     ("die Männer", "des Mannes"; see expectedForm())
+ *
+ * Thin wrapper over gradeAnswer() + isPass(); use those directly when the
+ * kind of mistake matters.
  *
  * @param {string}                           input
- * @param {{ word: string, article?: string }} entry
- * @param {{ caseInsensitive?: boolean }}    [options]
+ * @param {{ word: string, article?: string, plural?: string|null, genitive?: string|null }} entry
+ * @param {{ caseInsensitive?: boolean, form?: 'singular'|'plural'|'genitive' }} [options]
+ * @returns {boolean}
+ */
+export function matchAnswer(input, entry, { caseInsensitive = false, form = 'singular' } = {}) {
+  return isPass(gradeAnswer(input, entry, { form }), 'strict', { caseInsensitive });
+}
+
+/**
+ * Grade a case-drill answer (see declension.js): the declined article, then
+ * the adjective with its ending when the question has one ("dem",
+ * "dem alten"). Capitalisation and extra spaces are ignored; umlauts must be
+ * typed correctly.
+ *
+ * @param {string} input
+ * @param {{ article: string, adjective: string|null }} expected
+ * @returns {{ articleCorrect: boolean, adjectiveCorrect: boolean|null }}
+ *          adjectiveCorrect is null when no adjective was asked for; words
+ *          after the article then make articleCorrect false.
+ */
+export function gradeDeclension(input, { article, adjective }) {
+  const [typedArticle = '', ...rest] = input.trim().toLowerCase().split(/\s+/);
+  if (adjective === null) {
+    return { articleCorrect: typedArticle === article && rest.length === 0, adjectiveCorrect: null };
+  }
+  return { articleCorrect: typedArticle === article, adjectiveCorrect: rest.join(' ') === adjective };
+}
+
+/**
+ * Check a case-drill answer: everything asked for must be right.
+ * Thin wrapper over gradeDeclension().
+ *
+ * @param {string} input
+ * @param {{ article: string, adjective: string|null }} expected
  * @returns {boolean}
  */
-export function matchAnswer(input, entry, { caseInsensitive = false } = {}) {
+export function matchDeclension(input, expected) {
+  const { articleCorrect, adjectiveCorrect } = gradeDeclension(input, expected);
+  return articleCorrect && adjectiveCorrect !== false;
+}
+
+/**
+ * Reduce an English meaning to a comparable core: accents and punctuation
+ * dropped, lowercase, single-spaced, without a leading "to" or article.
+ *
+ * Examples:
+ *   "To be able!" → "be able"
+ *   "the  Time"   → "time"
+ *   "put-down"    → "put down"
+ *
+ * @param {string} str
+ * @returns {string}
+ */
+export function normaliseEnglish(str) {
+  return str
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/'/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^(to|a|an|the) /, '');
+}
+
+/**
+ * The forms a meaning can be given in: "be able" also as "able", and — for
+ * typed answers only — "be able to" as "be able". Hints never lose their
+ * "to", so "have" isn't accepted for "have to".
+ */
+function englishForms(text, typed) {
+  const core  = normaliseEnglish(text);
+  const forms = new Set([core]);
+  if (typed && core.endsWith(' to')) forms.add(core.slice(0, -3));
+  for (const form of [...forms]) {
+    if (form.startsWith('be ')) forms.add(form.slice(3));
+  }
+  return forms;
+}
+
+/**
+ * Levenshtein edit distance between two strings (insert, delete, substitute).
+ * Two-row dynamic programming — O(a × b) time, O(b) memory.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Maximum edit distance still read as a typo of an English meaning of the
+ * given (normalised) length. Short words get none, so "eat" is never "sat".
+ *
+ *   1–4 chars → 0   5–9 → 1   10+ → 2
+ *
+ * @param {number} length
+ * @returns {number}
+ */
+export function englishTypoLimit(length) {
+  return Math.min(Math.floor(length / 5), 2);
+}
+
+/**
+ * Check an English answer against a word's hints (German → English mode).
+ * Answers are compared after normaliseEnglish(), so "to be able", "Be able
+ * to" and "able" all match "be able". The other words' hints are passed in so
+ * that naming a different word in play ("shout" for "shoot") is never taken
+ * for a typo of this one.
+ *
+ *   'correct' — matches a hint
+ *   'close'   — within englishTypoLimit() of a hint
+ *   'wrong'   — anything else
+ *
+ * @param {string}   input
+ * @param {string[]} hints
+ * @param {{ others?: string[] }} [options]  Hints of every other word in play.
+ * @returns {'correct'|'close'|'wrong'}
+ */
+export function matchEnglish(input, hints, { others = [] } = {}) {
+  const typed = englishForms(input, true);
+  if (typed.has('')) return 'wrong';
+
+  const targets = hints.flatMap(hint => [...englishForms(hint, false)]);
+  if (targets.some(target => typed.has(target))) return 'correct';
+  if (others.some(other => [...englishForms(other, false)].some(form => typed.has(form)))) return 'wrong';
+
+  const isClose = targets.some(target => {
+    const limit = englishTypoLimit(target.length);
+    return limit > 0 && [...typed].some(form => levenshtein(form, target) <= limit);
+  });
+  return isClose ? 'close' : 'wrong';
+}
+
+/** The article of each gender's genitive singular ("des Mannes", "der Frau"). */
+export const GENITIVE_ARTICLES = { der: 'des', die: 'der', das: 'des' };
+
+/**
+ * The article and spellings a noun drill expects for one form of a noun.
+ * The data separates accepted alternatives with "/" ("Banken/Bänke",
+ * "Jahres/Jahrs"); the first is the one shown on a miss.
+ *
+ * @param {{ word: string, article: string, plural?: string|null, genitive?: string|null }} entry
+ * @param {'singular'|'plural'|'genitive'} [form='singular']
+ * @returns {{ article: string, words: string[] }|null} null when the noun has no
+ *          such form (no plural of "Milch").
+ */
+export function expectedForm(entry, form = 'singular') {
+  if (form === 'singular') return { article: entry.article, words: [entry.word] };
+  const text = entry[form];
+  if (typeof text !== 'string' || text.length === 0) return null;
+  return {
+    article: form === 'plural' ? 'die' : GENITIVE_ARTICLES[entry.article],
+    words:   text.split('/'),
+  };
+}
+
+/**
+ * Fold umlauts and ß to a comparable base form, case-insensitively.
+ * Both transliteration styles are produced so "Madchen" and "Maedchen"
+ * each fold to the same value as "Mädchen" under one of them.
+ *
+ * @param {string} str
+ * @returns {[string, string]}  [ä → a style, ä → ae style]
+ */
+function foldUmlauts(str) {
+  const lower = str.toLowerCase();
+  return [
+    lower.replace(/ä/g, 'a').replace(/ö/g, 'o').replace(/ü/g, 'u').replace(/ß/g, 'ss'),
+    lower.replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss'),
+  ];
+}
+
+/**
+ * Grade a player's answer part by part instead of all-or-nothing.
+ *
+ *   articleCorrect — article matches (null for verbs, which have none)
+ *   nounCorrect    — noun/verb typed exactly, including case and umlauts
+ *   caseOnly       — wrong only in capitalisation ("der mann")
+ *   umlautOnly     — wrong only in umlauts/ß, case ignored ("Madchen", "Maedchen")
+ *   spacingOk      — exactly one space between article and noun, or between
+ *                    the words of a verb form ("hast gegessen")
+ *
+ * With form 'plural' or 'genitive' the answer is graded against that form of
+ * the noun, and against whichever accepted spelling it comes closest to.
+ *
+ * @param {string} input
+ * @param {{ word: string, article?: string, plural?: string|null, genitive?: string|null }} entry
+ * @param {{ form?: 'singular'|'plural'|'genitive' }} [options]
+ * @returns {{ articleCorrect: boolean|null, nounCorrect: boolean,
+ *             caseOnly: boolean, umlautOnly: boolean, spacingOk: boolean }}
+ */
+export function gradeAnswer(input, entry, { form = 'singular' } = {}) {
+  if (form !== 'singular') {
+    const { article, words } = expectedForm(entry, form);
+    const grades = words.map(word => gradeAnswer(input, { article, word }));
+    return grades.find(g => g.nounCorrect)
+      ?? grades.find(g => g.caseOnly)
+      ?? grades.find(g => g.umlautOnly)
+      ?? grades[0];
+  }
+
   const trimmed = input.trim();
+  let articleCorrect = null;
+  let noun           = trimmed;
+  let spacingOk      = true;
 
   if (entry.article) {
-    const spaceIdx = trimmed.indexOf(' ');
-    if (spaceIdx === -1) return false;
-    const inputArticle = trimmed.slice(0, spaceIdx).toLowerCase();
-    const inputWord    = trimmed.slice(spaceIdx + 1);
-    return inputArticle === entry.article && inputWord === entry.word;
+    const parsed   = parseNounAnswer(trimmed, ANSWER_ARTICLES);
+    articleCorrect = parsed.article === entry.article;
+    noun           = parsed.noun;
+    spacingOk      = /^\S+ \S/.test(trimmed);
+  } else if (/\s{2,}/.test(trimmed)) {
+    // Several words ("hast gegessen", "ruft an") — graded as if single-spaced
+    noun      = trimmed.replace(/\s+/g, ' ');
+    spacingOk = false;
   }
 
-  if (caseInsensitive) {
-    return trimmed.toLowerCase() === entry.word.toLowerCase();
+  const nounCorrect = noun === entry.word;
+  const caseOnly    = !nounCorrect && noun.toLowerCase() === entry.word.toLowerCase();
+  const [typedA, typedAe] = foldUmlauts(noun);
+  const [wordA,  wordAe]  = foldUmlauts(entry.word);
+  const umlautOnly  = !nounCorrect && !caseOnly && noun.length > 0
+    && (typedA === wordA || typedAe === wordAe);
+
+  return { articleCorrect, nounCorrect, caseOnly, umlautOnly, spacingOk };
+}
+
+/**
+ * Decide whether a graded answer counts as a pass under the marking mode.
+ * The article must always be right — that is what merkmal drills.
+ *
+ *   'strict'    — noun exact and single-spaced; caseInsensitive also accepts caseOnly
+ *   'forgiving' — capitalisation, umlaut and spacing slips are accepted
+ *
+ * @param {ReturnType<typeof gradeAnswer>} grade
+ * @param {'strict'|'forgiving'} marking
+ * @param {{ caseInsensitive?: boolean }} [options]
+ * @returns {boolean}
+ */
+export function isPass(grade, marking, { caseInsensitive = false } = {}) {
+  if (grade.articleCorrect === false) return false;
+  if (marking === 'forgiving') {
+    return grade.nounCorrect || grade.caseOnly || grade.umlautOnly;
   }
-  return trimmed === entry.word;
+  if (!grade.spacingOk) return false;
+  return grade.nounCorrect || (caseInsensitive && grade.caseOnly);
 }
 
-/** Fisher-Yates shuffle. Returns a new array, never mutates the input. */
-export function shuffle(arr) {
+export const ARTICLES = ['der', 'die', 'das'];
+
+/** Articles a graded answer may start with — "des" only begins a genitive. */
+const ANSWER_ARTICLES = [...ARTICLES, 'des'];
+
+/**
+ * Escape a string for safe injection into innerHTML.
+ * Covers the five characters that can introduce XSS in HTML contexts.
+ *
+ * @param {string} str
+ * @returns {string}
+ */
+export function escapeHtml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Split a noun answer into its article and noun parts.
+ * The article is lowercased; the noun keeps the player's casing.
+ * Input without a recognised article yields article === null and the whole
+ * trimmed input as the noun.
+ *
+ * Examples:
+ *   "Der  Mann" → { article: 'der', noun: 'Mann' }
+ *   "Mann"      → { article: null,  noun: 'Mann' }
+ *   "dem Mann"  → { article: null,  noun: 'dem Mann' }
+ *
+ * @param {string} input
+ * @param {string[]} [articles=ARTICLES]  The articles to recognise.
+ * @returns {{ article: string|null, noun: string }}
+ */
+export function parseNounAnswer(input, articles = ARTICLES) {
+  const trimmed  = input.trim();
+  const spaceIdx = trimmed.indexOf(' ');
+  if (spaceIdx !== -1) {
+    const article = trimmed.slice(0, spaceIdx).toLowerCase();
+    if (articles.includes(article)) {
+      return { article, noun: trimmed.slice(spaceIdx + 1).trim() };
+    }
+  }
+  return { article: null, noun: trimmed };
+}
+
+/**
+ * Classify a rejected noun answer so a wrong gender can be told apart from
+ * a misspelled noun.
+ *
+ *   'article'    — noun correct, article wrong ("die Mann")
+ *   'noun'       — article correct, noun wrong ("der Man")
+ *   'both'       — article and noun both wrong
+ *   'no-article' — no der/die/das at the start ("Mann")
+ *
+ * @param {string} input
+ * @param {{ word: string, article: string }} entry
+ * @returns {'article'|'noun'|'both'|'no-article'}
+ */
+export function classifyNounMistake(input, entry) {
+  const { article, noun } = parseNounAnswer(input);
+  if (article === null) return 'no-article';
+  const articleOk = article === entry.article;
+  const nounOk    = noun === entry.word;
+  if (!articleOk && nounOk) return 'article';
+  if (articleOk)            return 'noun';
+  return 'both';
+}
+
+/**
+ * Hash a string to an unsigned 32-bit integer (FNV-1a), for turning a seed
+ * such as a date into a PRNG seed.
+ *
+ * @param {string} str
+ * @returns {number}
+ */
+export function hashSeed(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Seedable PRNG (mulberry32). The returned function is a drop-in for
+ * Math.random — a float in [0, 1) — and yields the same sequence on every
+ * device for the same seed.
+ *
+ * @param {number} seed  Unsigned 32-bit integer (see hashSeed).
+ * @returns {() => number}
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher-Yates shuffle. Returns a new array, never mutates the input.
+ * Pass a seeded `random` (see createRng) for a reproducible order.
+ *
+ * @param {Array} arr
+ * @param {() => number} [random=Math.random]
+ * @returns {Array}
+ */
+export function shuffle(arr, random = Math.random) {
   const a = [...arr];
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a;
@@ -0,0 +1,77 @@
+// choices.js — pure helpers for multiple-choice mode.
+// Distractors are chosen to be plausible, so guessing by elimination is hard:
+// one neighbour by location, one by size and one by outline proportions.
+
+import { shuffle } from './utils.js';
+
+/** Number of buttons shown per shape (the answer plus three distractors). */
+export const CHOICE_COUNT = 4;
+
+/** Distractors are drawn at random from this many closest matches per criterion. */
+const SHORTLIST_SIZE = 5;
+
+/**
+ * Approximate distance between two [lon, lat] centres in degrees of latitude,
+ * with longitude compressed by the cosine of the mean latitude.
+ */
+function geoDistance([lonA, latA], [lonB, latB]) {
+  const lonScale = Math.cos((((latA + latB) / 2) * Math.PI) / 180);
+  return Math.hypot((lonA - lonB) * lonScale, latA - latB);
+}
+
+/** Distance between two positive ratios on a log scale (×2 and ÷2 score equally). */
+function logRatio(a, b) {
+  return Math.abs(Math.log(Math.max(a, 1e-6) / Math.max(b, 1e-6)));
+}
+
+/**
+ * Similarity measures, cycled in order when picking distractors.
+ * Each takes two metrics objects (see featureMetrics) — lower is more similar.
+ */
+const CRITERIA = [
+  (a, b) => geoDistance(a.centre, b.centre), // Same region
+  (a, b) => logRatio(a.area, b.area),        // Similar size
+  (a, b) => logRatio(a.aspect, b.aspect),    // Similar outline proportions
+];
+
+/**
+ * Pick plausible wrong answers for a country.
+ * Cycles through the similarity criteria; for each one, picks at random from
+ * the SHORTLIST_SIZE closest countries not already chosen. Countries without
+ * metrics fall back to a uniformly random pick.
+ *
+ * @param {{ id: number, metrics?: object }} target
+ * @param {Array<{ id: number, metrics?: object }>} countries  Pool to draw from.
+ * @param {number} [count=CHOICE_COUNT - 1]
+ * @returns {Array} Up to `count` distinct countries, never including target.
+ */
+export function pickDistractors(target, countries, count = CHOICE_COUNT - 1) {
+  const picked = [];
+
+  for (let i = 0; picked.length < count; i++) {
+    const pool = countries.filter(c => c.id !== target.id && !picked.includes(c));
+    if (pool.length === 0) break;
+
+    const measure = CRITERIA[i % CRITERIA.length];
+    const ranked  = target.metrics
+      ? pool.filter(c => c.metrics)
+          .sort((a, b) => measure(target.metrics, a.metrics) - measure(target.metrics, b.metrics))
+          .slice(0, SHORTLIST_SIZE)
+      : [];
+    const shortlist = ranked.length > 0 ? ranked : pool;
+    picked.push(shortlist[Math.floor(Math.random() * shortlist.length)]);
+  }
+
+  return picked;
+}
+
+/**
+ * Build the shuffled list of options for one multiple-choice question.
+ *
+ * @param {{ id: number }} target
+ * @param {Array} countries
+ * @returns {Array} The target plus its distractors, in random order.
+ */
+export function buildChoices(target, countries) {
+  return shuffle([target, ...pickDistractors(target, countries)]);
+}
@@ -0,0 +1,203 @@
+// custom.js — user-supplied GeoJSON/TopoJSON files, played like a pack.
+// readShapeFile() parses a dropped file, checkShapes() validates every
+// feature against the chosen name/alias properties, and buildCustomShapes()
+// runs the valid ones through the same pipeline as the countries
+// (buildShapes() in data.js). No DOM, no localStorage.
+
+import { buildShapes, topologyFeatures, svgFrame } from './data.js';
+import { normalise }                               from './utils.js';
+
+/** Pack id of the imported shapes (see packs.js for the built-in ones). */
+export const CUSTOM_PACK = 'custom';
+
+/** Longitudes past this can't be degrees, even unwrapped across the antimeridian. */
+const MAX_ABS_LON = 360;
+
+/**
+ * Parse a GeoJSON or TopoJSON file into features. TopoJSON gives every
+ * object's features, with shared borders as neighbours; plain GeoJSON has
+ * no topology, so its shapes have no neighbours.
+ *
+ * @param {string} text  The file's contents.
+ * @returns {{ features: GeoJSON.Feature[], adjacency: number[][], properties: string[] }}
+ *          properties lists every property with a text or number value, in
+ *          first-seen order, for the name and alias pickers.
+ * @throws {Error} When the file isn't JSON, isn't GeoJSON or TopoJSON, or has no features.
+ */
+export function readShapeFile(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error("The file isn't valid JSON.");
+  }
+
+  let source;
+  if (json?.type === 'Topology' && json.objects && typeof json.objects === 'object') {
+    source = { features: [], adjacency: [] };
+    try {
+      for (const name of Object.keys(json.objects)) {
+        const { features, adjacency } = topologyFeatures(json, name);
+        const offset = source.features.length;
+        // Pushed one by one: spreading a file's worth of features can overflow the stack
+        for (const feat of features) source.features.push(feat);
+        for (const list of adjacency) source.adjacency.push(list.map(i => i + offset));
+      }
+    } catch {
+      throw new Error("The TopoJSON file couldn't be decoded.");
+    }
+  } else if (json?.type === 'FeatureCollection' && Array.isArray(json.features)) {
+    source = { features: json.features, adjacency: json.features.map(() => []) };
+  } else if (json?.type === 'Feature') {
+    source = { features: [json], adjacency: [[]] };
+  } else if (json?.type === 'Polygon' || json?.type === 'MultiPolygon') {
+    source = { features: [{ type: 'Feature', properties: {}, geometry: json }], adjacency: [[]] };
+  } else {
+    throw new Error("The file isn't GeoJSON or TopoJSON.");
+  }
+
+  if (source.features.length === 0) throw new Error('The file has no features.');
+
+  const properties = new Set();
+  for (const feat of source.features) {
+    for (const [key, value] of Object.entries(feat?.properties ?? {})) {
+      if (typeof value === 'string' || typeof value === 'number') properties.add(key);
+    }
+  }
+  return { ...source, properties: [...properties] };
+}
+
+/**
+ * The property most likely to hold each feature's name: 'name' in any case,
+ * then anything containing it ('NAME_EN', 'lake_name'), then the first one.
+ *
+ * @param {string[]} properties  See readShapeFile().
+ * @returns {string|null} null when the features have no properties at all.
+ */
+export function guessNameProperty(properties) {
+  return properties.find(p => p.toLowerCase() === 'name')
+    ?? properties.find(p => p.toLowerCase().includes('name'))
+    ?? properties[0]
+    ?? null;
+}
+
+/**
+ * Every polygon of a geometry, or null if its coordinates aren't nested
+ * arrays of finite [lon, lat] positions.
+ */
+function polygonsOf({ type, coordinates }) {
+  const polygons = type === 'Polygon' ? [coordinates] : coordinates;
+  const isPosition = pos => Array.isArray(pos) && pos.length >= 2
+    && Number.isFinite(pos[0]) && Number.isFinite(pos[1]);
+  const valid = Array.isArray(polygons) && polygons.every(polygon =>
+    Array.isArray(polygon) && polygon.every(ring => Array.isArray(ring) && ring.every(isPosition)));
+  return valid ? polygons : null;
+}
+
+/** Shoelace area of a ring in square degrees (sign dropped). */
+function ringArea(ring) {
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  }
+  return Math.abs(sum) / 2;
+}
+
+/**
+ * Split an alias property into names: a list, or text separated by commas,
+ * semicolons or pipes ("Erie; Lac Érié").
+ */
+function aliasesOf(value, name) {
+  const list = Array.isArray(value) ? value
+    : typeof value === 'string' ? value.split(/[,;|]/)
+    : [];
+  return list
+    .filter(alias => typeof alias === 'string' || typeof alias === 'number')
+    .map(alias => String(alias).trim())
+    .filter(alias => alias && normalise(alias) !== normalise(name));
+}
+
+/**
+ * Check every feature of a file. A feature is playable when it has polygon
+ * geometry in longitude/latitude that encloses some area and draws at a
+ * readable size, and a name no other feature has. Everything else is
+ * reported instead of being skipped silently.
+ *
+ * @param {{ features: GeoJSON.Feature[] }} source  See readShapeFile().
+ * @param {{ nameProperty: string|null, aliasProperty?: string|null }} options
+ * @returns {{ valid: Map<GeoJSON.Feature, { name: string, aliases: string[] }>,
+ *             errors: Array<{ feature: number, name: string|null, message: string }> }}
+ *          feature in errors is the feature's 1-based position in the file.
+ */
+export function checkShapes({ features }, { nameProperty, aliasProperty = null }) {
+  const valid  = new Map();
+  const errors = [];
+  const seen   = new Map(); // Normalised name → position of the feature that has it
+
+  for (const [index, feat] of features.entries()) {
+    const raw  = feat?.properties?.[nameProperty];
+    const name = raw === undefined || raw === null ? '' : String(raw).trim();
+    const fail = message => errors.push({ feature: index + 1, name: name || null, message });
+
+    if (!feat?.geometry) { fail('has no geometry'); continue; }
+    const { type } = feat.geometry;
+    if (type !== 'Polygon' && type !== 'MultiPolygon') {
+      fail(`is a ${type}, not an area`);
+      continue;
+    }
+
+    const polygons = polygonsOf(feat.geometry);
+    if (!polygons) { fail('has malformed coordinates'); continue; }
+    const positions = polygons.flat(2);
+    if (positions.some(([lon, lat]) => Math.abs(lon) > MAX_ABS_LON || Math.abs(lat) > 90)) {
+      fail('has coordinates outside longitude/latitude (is the file projected?)');
+      continue;
+    }
+    if (!polygons.some(([outer]) => outer && outer.length >= 4 && ringArea(outer) > 0)) {
+      fail('has degenerate geometry (no ring encloses any area)');
+      continue;
+    }
+    if (!svgFrame(feat)) { fail('is too thin, or spans too much of the globe, to draw'); continue; }
+
+    if (!name) { fail(nameProperty ? `has no "${nameProperty}"` : 'has no name'); continue; }
+    const key = normalise(name);
+    if (seen.has(key)) { fail(`has the same name as feature ${seen.get(key)}`); continue; }
+    seen.set(key, index + 1);
+
+    valid.set(feat, {
+      name,
+      aliases: aliasProperty ? aliasesOf(feat.properties[aliasProperty], name) : [],
+    });
+  }
+
+  return { valid, errors };
+}
+
+/**
+ * Turn a file's valid features into shapes in the same form as
+ * loadCountries()' countries. Ids are namespaced by name ('custom:Lake Erie')
+ * so the review schedule carries over when the same file is imported again.
+ * Custom shapes have no difficulty ranking, so all share the easiest tier,
+ * and their region (the first hint) is the file's label.
+ *
+ * @param {{ features: GeoJSON.Feature[], adjacency: number[][] }} source  See readShapeFile().
+ * @param {{ label: string, nameProperty: string, aliasProperty?: string|null }} options
+ * @returns {{ shapes: Array, errors: Array }} See loadCountries() and checkShapes().
+ */
+export function buildCustomShapes(source, { label, ...options }) {
+  const { valid, errors } = checkShapes(source, options);
+
+  // Only valid features go any further, so broken geometry never reaches the drawing code
+  const kept     = source.features.flatMap((feat, i) => valid.has(feat) ? [i] : []);
+  const newIndex = new Map(kept.map((oldIndex, i) => [oldIndex, i]));
+  const playable = {
+    features:  kept.map(i => source.features[i]),
+    adjacency: kept.map(i => source.adjacency[i].filter(n => newIndex.has(n)).map(n => newIndex.get(n))),
+  };
+
+  const shapes = buildShapes(playable, feat => {
+    const info = valid.get(feat);
+    return info ? { id: `${CUSTOM_PACK}:${info.name}`, ...info, region: label, tier: 'easy' } : null;
+  });
+  return { shapes, errors };
+}
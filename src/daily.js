@@ -0,0 +1,70 @@
+// daily.js — pure helpers for the daily challenge.
+// The seed comes from the date, so everyone playing on the same day gets the
+// same countries in the same order. No DOM, no localStorage.
+
+import { hashSeed, createRng, shuffle } from './utils.js';
+
+/** Countries per daily challenge. */
+export const DAILY_COUNT = 20;
+
+const TIER_ORDER = ['easy', 'medium', 'hard', 'expert'];
+
+/**
+ * The spelling setting every daily answer is graded with, whatever the
+ * player's own: shared results are only comparable if everyone is marked alike.
+ */
+export const DAILY_SPELLING = 'strict';
+
+/** One square per answer in the shareable grid. */
+export const DAILY_MARKS = {
+  correct: '🟩',
+  wrong:   '🟥',
+  skip:    '⬜',
+};
+
+/**
+ * The challenge key for a date: its UTC calendar day as YYYY-MM-DD.
+ * UTC rather than local time, so players in different time zones who
+ * compare results are always talking about the same puzzle.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export function dailyKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Pick the day's countries: DAILY_COUNT / 4 from each tier, easy → expert,
+ * shuffled within each tier by a PRNG seeded from the key. The input is
+ * sorted by id first, so load order can't change the result.
+ *
+ * @param {Array<{id: number, tier: string}>} countries
+ * @param {string} key  See dailyKey().
+ * @returns {Array}
+ */
+export function pickDailyCountries(countries, key) {
+  const random  = createRng(hashSeed(`outlinr:${key}`));
+  const perTier = DAILY_COUNT / TIER_ORDER.length;
+  const sorted  = [...countries].sort((a, b) => a.id - b.id);
+  return TIER_ORDER.flatMap(tier =>
+    shuffle(sorted.filter(c => c.tier === tier), random).slice(0, perTier));
+}
+
+/**
+ * Build the shareable result: a title line with the score, then the marks as
+ * an emoji grid with one row per tier.
+ *
+ * @param {string} key
+ * @param {Array<'correct'|'wrong'|'skip'>} marks
+ * @returns {string}
+ */
+export function formatDailyResult(key, marks) {
+  const score = marks.filter(m => m === 'correct').length;
+  const perRow = DAILY_COUNT / TIER_ORDER.length;
+  const rows = [];
+  for (let i = 0; i < marks.length; i += perRow) {
+    rows.push(marks.slice(i, i + perRow).map(m => DAILY_MARKS[m]).join(''));
+  }
+  return [`outlinr daily ${key} — ${score}/${DAILY_COUNT}`, ...rows].join('\n');
+}
@@ -1,182 +1,218 @@
 // data.js — loads world-atlas TopoJSON, converts each country feature to a
-// normalised SVG path string, and returns a flat country array.
+// normalised SVG path string, and returns a flat country array. Optional
+// packs (packs.js) go through the same pipeline.
 //
 // Data sources (vendored locally — no CDN dependency at runtime):
 //   • world-atlas v2  : data/countries-50m.json  (npm:world-atlas@2)
 //   • topojson-client : vendor/topojson-client.js (npm:topojson-client@3.1.0)
 
-import { feature } from '../vendor/topojson-client.js';
+import { feature, neighbors } from '../vendor/topojson-client.js';
+import { PACKS }              from './packs.js';
 
 // fetch() resolves this relative to the document's base URL (not the module's location),
 // so './data/...' works correctly from both index.html and test.html at the project root.
 const WORLD_ATLAS_URL = './data/countries-50m.json';
 
-// ISO 3166-1 numeric code → { name, aliases[] }
+// ISO 3166-1 numeric code → { name, region, aliases[] }
+// Region is one of REGIONS (see gameState.js) and drives the region picker.
 // Aliases are alternative names a player might type (common names,
 // former names, abbreviations, native-language names).
 const COUNTRY_INFO = {
-  4:   { name: 'Afghanistan',                       aliases: [] },
-  8:   { name: 'Albania',                           aliases: [] },
-  12:  { name: 'Algeria',                           aliases: [] },
-  24:  { name: 'Angola',                            aliases: [] },
-  32:  { name: 'Argentina',                         aliases: [] },
-  36:  { name: 'Australia',                         aliases: ['aussie'] },
-  40:  { name: 'Austria',                           aliases: ['osterreich', 'österreich'] },
-  50:  { name: 'Bangladesh',                        aliases: [] },
-  56:  { name: 'Belgium',                           aliases: [] },
-  64:  { name: 'Bhutan',                            aliases: [] },
-  68:  { name: 'Bolivia',                           aliases: [] },
-  70:  { name: 'Bosnia and Herzegovina',            aliases: ['bosnia', 'herzegovina', 'bih'] },
-  72:  { name: 'Botswana',                          aliases: [] },
-  76:  { name: 'Brazil',                            aliases: ['brasil'] },
-  84:  { name: 'Belize',                            aliases: [] },
-  90:  { name: 'Solomon Islands',                   aliases: ['solomons'] },
-  96:  { name: 'Brunei',                            aliases: ['brunei darussalam'] },
-  100: { name: 'Bulgaria',                          aliases: [] },
-  104: { name: 'Myanmar',                           aliases: ['burma'] },
-  108: { name: 'Burundi',                           aliases: [] },
-  116: { name: 'Cambodia',                          aliases: ['kampuchea'] },
-  120: { name: 'Cameroon',                          aliases: [] },
-  124: { name: 'Canada',                            aliases: [] },
-  132: { name: 'Cape Verde',                        aliases: ['cabo verde'] },
-  140: { name: 'Central African Republic',          aliases: ['car'] },
-  144: { name: 'Sri Lanka',                         aliases: ['ceylon', 'lanka'] },
-  148: { name: 'Chad',                              aliases: [] },
-  152: { name: 'Chile',                             aliases: [] },
-  156: { name: 'China',                             aliases: ['prc', "people's republic of china"] },
-  170: { name: 'Colombia',                          aliases: [] },
-  174: { name: 'Comoros',                           aliases: [] },
-  178: { name: 'Republic of the Congo',             aliases: ['congo republic', 'congo-brazzaville', 'congo brazzaville'] },
-  180: { name: 'Democratic Republic of the Congo',  aliases: ['drc', 'zaire', 'congo', 'congo-kinshasa', 'democratic republic of congo'] },
-  188: { name: 'Costa Rica',                        aliases: [] },
-  191: { name: 'Croatia',                           aliases: ['hrvatska'] },
-  192: { name: 'Cuba',                              aliases: [] },
-  196: { name: 'Cyprus',                            aliases: [] },
-  203: { name: 'Czech Republic',                    aliases: ['czechia', 'czech'] },
-  204: { name: 'Benin',                             aliases: ['dahomey'] },
-  208: { name: 'Denmark',                           aliases: ['danmark'] },
-  214: { name: 'Dominican Republic',                aliases: [] },
-  218: { name: 'Ecuador',                           aliases: [] },
-  222: { name: 'El Salvador',                       aliases: [] },
-  226: { name: 'Equatorial Guinea',                 aliases: [] },
-  231: { name: 'Ethiopia',                          aliases: ['abyssinia'] },
-  232: { name: 'Eritrea',                           aliases: [] },
-  233: { name: 'Estonia',                           aliases: ['eesti'] },
-  238: { name: 'Falkland Islands',                  aliases: ['malvinas', 'falklands'] },
-  242: { name: 'Fiji',                              aliases: [] },
-  246: { name: 'Finland',                           aliases: ['suomi'] },
-  250: { name: 'France',                            aliases: [] },
-  262: { name: 'Djibouti',                          aliases: [] },
-  266: { name: 'Gabon',                             aliases: [] },
-  268: { name: 'Georgia',                           aliases: [] },
-  270: { name: 'Gambia',                            aliases: ['the gambia'] },
-  276: { name: 'Germany',                           aliases: ['deutschland'] },
-  288: { name: 'Ghana',                             aliases: [] },
-  300: { name: 'Greece',                            aliases: ['hellas', 'ellada'] },
-  304: { name: 'Greenland',                         aliases: ['kalaallit nunaat'] },
-  320: { name: 'Guatemala',                         aliases: [] },
-  324: { name: 'Guinea',                            aliases: [] },
-  328: { name: 'Guyana',                            aliases: [] },
-  332: { name: 'Haiti',                             aliases: [] },
-  340: { name: 'Honduras',                          aliases: [] },
-  348: { name: 'Hungary',                           aliases: ['magyarország', 'magyarorszag'] },
-  356: { name: 'India',                             aliases: ['bharat'] },
-  360: { name: 'Indonesia',                         aliases: [] },
-  364: { name: 'Iran',                              aliases: ['persia'] },
-  368: { name: 'Iraq',                              aliases: [] },
-  372: { name: 'Ireland',                           aliases: ['eire', 'republic of ireland'] },
-  376: { name: 'Israel',                            aliases: [] },
-  380: { name: 'Italy',                             aliases: ['italia'] },
-  384: { name: 'Ivory Coast',                       aliases: ["cote d'ivoire", "côte d'ivoire", 'cote divoire', 'ci'] },
-  388: { name: 'Jamaica',                           aliases: [] },
-  392: { name: 'Japan',                             aliases: ['nippon', 'nihon'] },
-  398: { name: 'Kazakhstan',                        aliases: ['kazakh', 'qazaqstan'] },
-  400: { name: 'Jordan',                            aliases: [] },
-  404: { name: 'Kenya',                             aliases: [] },
-  408: { name: 'North Korea',                       aliases: ['dprk', "democratic people's republic of korea"] },
-  410: { name: 'South Korea',                       aliases: ['korea', 'republic of korea', 'rok'] },
-  414: { name: 'Kuwait',                            aliases: [] },
-  417: { name: 'Kyrgyzstan',                        aliases: ['kyrgyz republic', 'kirghizstan'] },
-  418: { name: 'Laos',                              aliases: ['lao'] },
-  422: { name: 'Lebanon',                           aliases: [] },
-  426: { name: 'Lesotho',                           aliases: [] },
-  428: { name: 'Latvia',                            aliases: ['latvija'] },
-  434: { name: 'Libya',                             aliases: [] },
-  440: { name: 'Lithuania',                         aliases: ['lietuva'] },
-  442: { name: 'Luxembourg',                        aliases: [] },
-  450: { name: 'Madagascar',                        aliases: [] },
-  454: { name: 'Malawi',                            aliases: ['nyasaland'] },
-  458: { name: 'Malaysia',                          aliases: [] },
-  466: { name: 'Mali',                              aliases: [] },
-  478: { name: 'Mauritania',                        aliases: [] },
-  484: { name: 'Mexico',                            aliases: ['méxico', 'mexico'] },
-  496: { name: 'Mongolia',                          aliases: [] },
-  498: { name: 'Moldova',                           aliases: ['republic of moldova'] },
-  504: { name: 'Morocco',                           aliases: ['maroc', 'al-maghrib'] },
-  508: { name: 'Mozambique',                        aliases: [] },
-  516: { name: 'Namibia',                           aliases: ['south west africa'] },
-  524: { name: 'Nepal',                             aliases: [] },
-  528: { name: 'Netherlands',                       aliases: ['holland', 'nederland'] },
-  540: { name: 'New Caledonia',                     aliases: [] },
-  548: { name: 'Vanuatu',                           aliases: ['new hebrides'] },
-  554: { name: 'New Zealand',                       aliases: ['nz', 'aotearoa'] },
-  558: { name: 'Nicaragua',                         aliases: [] },
-  562: { name: 'Niger',                             aliases: [] },
-  566: { name: 'Nigeria',                           aliases: [] },
-  578: { name: 'Norway',                            aliases: ['norge'] },
-  586: { name: 'Pakistan',                          aliases: [] },
-  591: { name: 'Panama',                            aliases: [] },
-  598: { name: 'Papua New Guinea',                  aliases: ['png'] },
-  600: { name: 'Paraguay',                          aliases: [] },
-  604: { name: 'Peru',                              aliases: [] },
-  608: { name: 'Philippines',                       aliases: ['pilipinas'] },
-  616: { name: 'Poland',                            aliases: ['polska'] },
-  620: { name: 'Portugal',                          aliases: [] },
-  624: { name: 'Guinea-Bissau',                     aliases: ['guinea bissau'] },
-  626: { name: 'Timor-Leste',                       aliases: ['east timor', 'timor leste'] },
-  634: { name: 'Qatar',                             aliases: [] },
-  642: { name: 'Romania',                           aliases: ['românia', 'romania'] },
-  643: { name: 'Russia',                            aliases: ['russian federation'] },
-  646: { name: 'Rwanda',                            aliases: [] },
-  678: { name: 'São Tomé and Príncipe',             aliases: ['sao tome and principe', 'sao tome'] },
-  682: { name: 'Saudi Arabia',                      aliases: ['ksa'] },
-  686: { name: 'Senegal',                           aliases: [] },
-  694: { name: 'Sierra Leone',                      aliases: [] },
-  703: { name: 'Slovakia',                          aliases: ['slovak republic'] },
-  705: { name: 'Slovenia',                          aliases: [] },
-  706: { name: 'Somalia',                           aliases: [] },
-  710: { name: 'South Africa',                      aliases: ['rsa'] },
-  716: { name: 'Zimbabwe',                          aliases: ['rhodesia'] },
-  724: { name: 'Spain',                             aliases: ['españa', 'espana'] },
-  728: { name: 'South Sudan',                       aliases: [] },
-  729: { name: 'Sudan',                             aliases: [] },
-  740: { name: 'Suriname',                          aliases: ['surinam'] },
-  748: { name: 'Eswatini',                          aliases: ['swaziland'] },
-  752: { name: 'Sweden',                            aliases: ['sverige'] },
-  756: { name: 'Switzerland',                       aliases: ['helvetia', 'swiss'] },
-  760: { name: 'Syria',                             aliases: [] },
-  762: { name: 'Tajikistan',                        aliases: [] },
-  764: { name: 'Thailand',                          aliases: ['siam', 'muang thai'] },
-  768: { name: 'Togo',                              aliases: [] },
-  780: { name: 'Trinidad and Tobago',               aliases: ['trinidad', 'tobago'] },
-  788: { name: 'Tunisia',                           aliases: [] },
-  792: { name: 'Turkey',                            aliases: ['türkiye', 'turkiye'] },
-  795: { name: 'Turkmenistan',                      aliases: [] },
-  800: { name: 'Uganda',                            aliases: [] },
-  804: { name: 'Ukraine',                           aliases: ['ukraina'] },
-  784: { name: 'United Arab Emirates',              aliases: ['uae', 'emirates'] },
-  807: { name: 'North Macedonia',                   aliases: ['macedonia', 'fyrom'] },
-  818: { name: 'Egypt',                             aliases: ['misr', 'arab republic of egypt'] },
-  826: { name: 'United Kingdom',                    aliases: ['uk', 'great britain', 'britain', 'england'] },
-  834: { name: 'Tanzania',                          aliases: [] },
-  840: { name: 'United States',                     aliases: ['usa', 'united states of america', 'us', 'america'] },
-  854: { name: 'Burkina Faso',                      aliases: ['upper volta'] },
-  858: { name: 'Uruguay',                           aliases: [] },
-  860: { name: 'Uzbekistan',                        aliases: [] },
-  862: { name: 'Venezuela',                         aliases: [] },
-  704: { name: 'Vietnam',                           aliases: ['viet nam'] },
-  887: { name: 'Yemen',                             aliases: [] },
-  894: { name: 'Zambia',                            aliases: [] },
+  4:   { name: 'Afghanistan',                       region: 'asia',          aliases: [] },
+  8:   { name: 'Albania',                           region: 'europe',        aliases: [] },
+  12:  { name: 'Algeria',                           region: 'africa',        aliases: [] },
+  20:  { name: 'Andorra',                           region: 'europe',        aliases: [] },
+  24:  { name: 'Angola',                            region: 'africa',        aliases: [] },
+  28:  { name: 'Antigua and Barbuda',               region: 'caribbean',     aliases: ['antigua', 'barbuda'] },
+  31:  { name: 'Azerbaijan',                        region: 'asia',          aliases: ['azerbaycan'] },
+  32:  { name: 'Argentina',                         region: 'south-america', aliases: [] },
+  36:  { name: 'Australia',                         region: 'oceania',       aliases: ['aussie'] },
+  40:  { name: 'Austria',                           region: 'europe',        aliases: ['osterreich', 'österreich'] },
+  44:  { name: 'Bahamas',                           region: 'caribbean',     aliases: ['the bahamas'] },
+  48:  { name: 'Bahrain',                           region: 'middle-east',   aliases: [] },
+  50:  { name: 'Bangladesh',                        region: 'asia',          aliases: [] },
+  51:  { name: 'Armenia',                           region: 'asia',          aliases: ['hayastan'] },
+  52:  { name: 'Barbados',                          region: 'caribbean',     aliases: [] },
+  56:  { name: 'Belgium',                           region: 'europe',        aliases: [] },
+  64:  { name: 'Bhutan',                            region: 'asia',          aliases: [] },
+  68:  { name: 'Bolivia',                           region: 'south-america', aliases: [] },
+  70:  { name: 'Bosnia and Herzegovina',            region: 'europe',        aliases: ['bosnia', 'herzegovina', 'bih'] },
+  72:  { name: 'Botswana',                          region: 'africa',        aliases: [] },
+  76:  { name: 'Brazil',                            region: 'south-america', aliases: ['brasil'] },
+  84:  { name: 'Belize',                            region: 'caribbean',     aliases: [] },
+  90:  { name: 'Solomon Islands',                   region: 'oceania',       aliases: ['solomons'] },
+  96:  { name: 'Brunei',                            region: 'asia',          aliases: ['brunei darussalam'] },
+  100: { name: 'Bulgaria',                          region: 'europe',        aliases: [] },
+  104: { name: 'Myanmar',                           region: 'asia',          aliases: ['burma'] },
+  108: { name: 'Burundi',                           region: 'africa',        aliases: [] },
+  112: { name: 'Belarus',                           region: 'europe',        aliases: ['byelorussia', 'belorussia'] },
+  116: { name: 'Cambodia',                          region: 'asia',          aliases: ['kampuchea'] },
+  120: { name: 'Cameroon',                          region: 'africa',        aliases: [] },
+  124: { name: 'Canada',                            region: 'north-america', aliases: [] },
+  132: { name: 'Cape Verde',                        region: 'africa',        aliases: ['cabo verde'] },
+  140: { name: 'Central African Republic',          region: 'africa',        aliases: ['car'] },
+  144: { name: 'Sri Lanka',                         region: 'asia',          aliases: ['ceylon', 'lanka'] },
+  148: { name: 'Chad',                              region: 'africa',        aliases: [] },
+  152: { name: 'Chile',                             region: 'south-america', aliases: [] },
+  156: { name: 'China',                             region: 'asia',          aliases: ['prc', "people's republic of china"] },
+  170: { name: 'Colombia',                          region: 'south-america', aliases: [] },
+  174: { name: 'Comoros',                           region: 'africa',        aliases: [] },
+  178: { name: 'Republic of the Congo',             region: 'africa',        aliases: ['congo republic', 'congo-brazzaville', 'congo brazzaville'] },
+  180: { name: 'Democratic Republic of the Congo',  region: 'africa',        aliases: ['drc', 'zaire', 'congo', 'congo-kinshasa', 'democratic republic of congo'] },
+  188: { name: 'Costa Rica',                        region: 'caribbean',     aliases: [] },
+  191: { name: 'Croatia',                           region: 'europe',        aliases: ['hrvatska'] },
+  192: { name: 'Cuba',                              region: 'caribbean',     aliases: [] },
+  196: { name: 'Cyprus',                            region: 'europe',        aliases: [] },
+  203: { name: 'Czech Republic',                    region: 'europe',        aliases: ['czechia', 'czech'] },
+  204: { name: 'Benin',                             region: 'africa',        aliases: ['dahomey'] },
+  208: { name: 'Denmark',                           region: 'europe',        aliases: ['danmark'] },
+  212: { name: 'Dominica',                          region: 'caribbean',     aliases: [] },
+  214: { name: 'Dominican Republic',                region: 'caribbean',     aliases: [] },
+  218: { name: 'Ecuador',                           region: 'south-america', aliases: [] },
+  222: { name: 'El Salvador',                       region: 'caribbean',     aliases: [] },
+  226: { name: 'Equatorial Guinea',                 region: 'africa',        aliases: [] },
+  231: { name: 'Ethiopia',                          region: 'africa',        aliases: ['abyssinia'] },
+  232: { name: 'Eritrea',                           region: 'africa',        aliases: [] },
+  233: { name: 'Estonia',                           region: 'europe',        aliases: ['eesti'] },
+  238: { name: 'Falkland Islands',                  region: 'south-america', aliases: ['malvinas', 'falklands'] },
+  242: { name: 'Fiji',                              region: 'oceania',       aliases: [] },
+  246: { name: 'Finland',                           region: 'europe',        aliases: ['suomi'] },
+  250: { name: 'France',                            region: 'europe',        aliases: [] },
+  262: { name: 'Djibouti',                          region: 'africa',        aliases: [] },
+  266: { name: 'Gabon',                             region: 'africa',        aliases: [] },
+  268: { name: 'Georgia',                           region: 'asia',          aliases: [] },
+  270: { name: 'Gambia',                            region: 'africa',        aliases: ['the gambia'] },
+  276: { name: 'Germany',                           region: 'europe',        aliases: ['deutschland'] },
+  288: { name: 'Ghana',                             region: 'africa',        aliases: [] },
+  296: { name: 'Kiribati',                          region: 'oceania',       aliases: [] },
+  300: { name: 'Greece',                            region: 'europe',        aliases: ['hellas', 'ellada'] },
+  304: { name: 'Greenland',                         region: 'north-america', aliases: ['kalaallit nunaat'] },
+  308: { name: 'Grenada',                           region: 'caribbean',     aliases: [] },
+  320: { name: 'Guatemala',                         region: 'caribbean',     aliases: [] },
+  324: { name: 'Guinea',                            region: 'africa',        aliases: [] },
+  328: { name: 'Guyana',                            region: 'south-america', aliases: [] },
+  332: { name: 'Haiti',                             region: 'caribbean',     aliases: [] },
+  340: { name: 'Honduras',                          region: 'caribbean',     aliases: [] },
+  348: { name: 'Hungary',                           region: 'europe',        aliases: ['magyarország', 'magyarorszag'] },
+  352: { name: 'Iceland',                           region: 'europe',        aliases: ['island'] },
+  356: { name: 'India',                             region: 'asia',          aliases: ['bharat'] },
+  360: { name: 'Indonesia',                         region: 'asia',          aliases: [] },
+  364: { name: 'Iran',                              region: 'middle-east',   aliases: ['persia'] },
+  368: { name: 'Iraq',                              region: 'middle-east',   aliases: [] },
+  372: { name: 'Ireland',                           region: 'europe',        aliases: ['eire', 'republic of ireland'] },
+  376: { name: 'Israel',                            region: 'middle-east',   aliases: [] },
+  380: { name: 'Italy',                             region: 'europe',        aliases: ['italia'] },
+  384: { name: 'Ivory Coast',                       region: 'africa',        aliases: ["cote d'ivoire", "côte d'ivoire", 'cote divoire', 'ci'] },
+  388: { name: 'Jamaica',                           region: 'caribbean',     aliases: [] },
+  392: { name: 'Japan',                             region: 'asia',          aliases: ['nippon', 'nihon'] },
+  398: { name: 'Kazakhstan',                        region: 'asia',          aliases: ['kazakh', 'qazaqstan'] },
+  400: { name: 'Jordan',                            region: 'middle-east',   aliases: [] },
+  404: { name: 'Kenya',                             region: 'africa',        aliases: [] },
+  408: { name: 'North Korea',                       region: 'asia',          aliases: ['dprk', "democratic people's republic of korea"] },
+  410: { name: 'South Korea',                       region: 'asia',          aliases: ['korea', 'republic of korea', 'rok'] },
+  414: { name: 'Kuwait',                            region: 'middle-east',   aliases: [] },
+  417: { name: 'Kyrgyzstan',                        region: 'asia',          aliases: ['kyrgyz republic', 'kirghizstan'] },
+  418: { name: 'Laos',                              region: 'asia',          aliases: ['lao'] },
+  422: { name: 'Lebanon',                           region: 'middle-east',   aliases: [] },
+  426: { name: 'Lesotho',                           region: 'africa',        aliases: [] },
+  428: { name: 'Latvia',                            region: 'europe',        aliases: ['latvija'] },
+  430: { name: 'Liberia',                           region: 'africa',        aliases: [] },
+  434: { name: 'Libya',                             region: 'africa',        aliases: [] },
+  438: { name: 'Liechtenstein',                     region: 'europe',        aliases: [] },
+  440: { name: 'Lithuania',                         region: 'europe',        aliases: ['lietuva'] },
+  442: { name: 'Luxembourg',                        region: 'europe',        aliases: [] },
+  450: { name: 'Madagascar',                        region: 'africa',        aliases: [] },
+  454: { name: 'Malawi',                            region: 'africa',        aliases: ['nyasaland'] },
+  458: { name: 'Malaysia',                          region: 'asia',          aliases: [] },
+  462: { name: 'Maldives',                          region: 'asia',          aliases: [] },
+  466: { name: 'Mali',                              region: 'africa',        aliases: [] },
+  470: { name: 'Malta',                             region: 'europe',        aliases: [] },
+  478: { name: 'Mauritania',                        region: 'africa',        aliases: [] },
+  480: { name: 'Mauritius',                         region: 'africa',        aliases: [] },
+  484: { name: 'Mexico',                            region: 'north-america', aliases: ['méxico', 'mexico'] },
+  492: { name: 'Monaco',                            region: 'europe',        aliases: [] },
+  496: { name: 'Mongolia',                          region: 'asia',          aliases: [] },
+  498: { name: 'Moldova',                           region: 'europe',        aliases: ['republic of moldova'] },
+  499: { name: 'Montenegro',                        region: 'europe',        aliases: ['crna gora'] },
+  504: { name: 'Morocco',                           region: 'africa',        aliases: ['maroc', 'al-maghrib'] },
+  508: { name: 'Mozambique',                        region: 'africa',        aliases: [] },
+  512: { name: 'Oman',                              region: 'middle-east',   aliases: [] },
+  516: { name: 'Namibia',                           region: 'africa',        aliases: ['south west africa'] },
+  520: { name: 'Nauru',                             region: 'oceania',       aliases: [] },
+  524: { name: 'Nepal',                             region: 'asia',          aliases: [] },
+  528: { name: 'Netherlands',                       region: 'europe',        aliases: ['holland', 'nederland'] },
+  540: { name: 'New Caledonia',                     region: 'oceania',       aliases: [] },
+  548: { name: 'Vanuatu',                           region: 'oceania',       aliases: ['new hebrides'] },
+  554: { name: 'New Zealand',                       region: 'oceania',       aliases: ['nz', 'aotearoa'] },
+  558: { name: 'Nicaragua',                         region: 'caribbean',     aliases: [] },
+  562: { name: 'Niger',                             region: 'africa',        aliases: [] },
+  566: { name: 'Nigeria',                           region: 'africa',        aliases: [] },
+  578: { name: 'Norway',                            region: 'europe',        aliases: ['norge'] },
+  583: { name: 'Micronesia',                        region: 'oceania',       aliases: ['federated states of micronesia', 'fsm'] },
+  584: { name: 'Marshall Islands',                  region: 'oceania',       aliases: ['marshalls'] },
+  585: { name: 'Palau',                             region: 'oceania',       aliases: ['belau'] },
+  586: { name: 'Pakistan',                          region: 'asia',          aliases: [] },
+  591: { name: 'Panama',                            region: 'caribbean',     aliases: [] },
+  598: { name: 'Papua New Guinea',                  region: 'oceania',       aliases: ['png'] },
+  600: { name: 'Paraguay',                          region: 'south-america', aliases: [] },
+  604: { name: 'Peru',                              region: 'south-america', aliases: [] },
+  608: { name: 'Philippines',                       region: 'asia',          aliases: ['pilipinas'] },
+  616: { name: 'Poland',                            region: 'europe',        aliases: ['polska'] },
+  620: { name: 'Portugal',                          region: 'europe',        aliases: [] },
+  624: { name: 'Guinea-Bissau',                     region: 'africa',        aliases: ['guinea bissau'] },
+  626: { name: 'Timor-Leste',                       region: 'asia',          aliases: ['east timor', 'timor leste'] },
+  634: { name: 'Qatar',                             region: 'middle-east',   aliases: [] },
+  642: { name: 'Romania',                           region: 'europe',        aliases: ['românia', 'romania'] },
+  643: { name: 'Russia',                            region: 'europe',        aliases: ['russian federation'] },
+  646: { name: 'Rwanda',                            region: 'africa',        aliases: [] },
+  659: { name: 'Saint Kitts and Nevis',             region: 'caribbean',     aliases: ['st kitts and nevis', 'st. kitts and nevis', 'saint kitts', 'st kitts'] },
+  662: { name: 'Saint Lucia',                       region: 'caribbean',     aliases: ['st lucia', 'st. lucia'] },
+  670: { name: 'Saint Vincent and the Grenadines',  region: 'caribbean',     aliases: ['st vincent and the grenadines', 'st. vincent and the grenadines', 'saint vincent', 'st vincent'] },
+  674: { name: 'San Marino',                        region: 'europe',        aliases: [] },
+  678: { name: 'São Tomé and Príncipe',             region: 'africa',        aliases: ['sao tome and principe', 'sao tome'] },
+  682: { name: 'Saudi Arabia',                      region: 'middle-east',   aliases: ['ksa'] },
+  686: { name: 'Senegal',                           region: 'africa',        aliases: [] },
+  688: { name: 'Serbia',                            region: 'europe',        aliases: ['srbija'] },
+  690: { name: 'Seychelles',                        region: 'africa',        aliases: [] },
+  694: { name: 'Sierra Leone',                      region: 'africa',        aliases: [] },
+  702: { name: 'Singapore',                         region: 'asia',          aliases: [] },
+  703: { name: 'Slovakia',                          region: 'europe',        aliases: ['slovak republic'] },
+  705: { name: 'Slovenia',                          region: 'europe',        aliases: [] },
+  706: { name: 'Somalia',                           region: 'africa',        aliases: [] },
+  710: { name: 'South Africa',                      region: 'africa',        aliases: ['rsa'] },
+  716: { name: 'Zimbabwe',                          region: 'africa',        aliases: ['rhodesia'] },
+  724: { name: 'Spain',                             region: 'europe',        aliases: ['españa', 'espana'] },
+  728: { name: 'South Sudan',                       region: 'africa',        aliases: [] },
+  729: { name: 'Sudan',                             region: 'africa',        aliases: [] },
+  740: { name: 'Suriname',                          region: 'south-america', aliases: ['surinam'] },
+  748: { name: 'Eswatini',                          region: 'africa',        aliases: ['swaziland'] },
+  752: { name: 'Sweden',                            region: 'europe',        aliases: ['sverige'] },
+  756: { name: 'Switzerland',                       region: 'europe',        aliases: ['helvetia', 'swiss'] },
+  760: { name: 'Syria',                             region: 'middle-east',   aliases: [] },
+  762: { name: 'Tajikistan',                        region: 'asia',          aliases: [] },
+  764: { name: 'Thailand',                          region: 'asia',          aliases: ['siam', 'muang thai'] },
+  768: { name: 'Togo',                              region: 'africa',        aliases: [] },
+  776: { name: 'Tonga',                             region: 'oceania',       aliases: [] },
+  780: { name: 'Trinidad and Tobago',               region: 'caribbean',     aliases: ['trinidad', 'tobago'] },
+  788: { name: 'Tunisia',                           region: 'africa',        aliases: [] },
+  792: { name: 'Turkey',                            region: 'middle-east',   aliases: ['türkiye', 'turkiye'] },
+  795: { name: 'Turkmenistan',                      region: 'asia',          aliases: [] },
+  800: { name: 'Uganda',                            region: 'africa',        aliases: [] },
+  804: { name: 'Ukraine',                           region: 'europe',        aliases: ['ukraina'] },
+  784: { name: 'United Arab Emirates',              region: 'middle-east',   aliases: ['uae', 'emirates'] },
+  807: { name: 'North Macedonia',                   region: 'europe',        aliases: ['macedonia', 'fyrom'] },
+  818: { name: 'Egypt',                             region: 'africa',        aliases: ['misr', 'arab republic of egypt'] },
+  826: { name: 'United Kingdom',                    region: 'europe',        aliases: ['uk', 'great britain', 'britain', 'england'] },
+  834: { name: 'Tanzania',                          region: 'africa',        aliases: [] },
+  840: { name: 'United States',                     region: 'north-america', aliases: ['usa', 'united states of america', 'us', 'america'] },
+  854: { name: 'Burkina Faso',                      region: 'africa',        aliases: ['upper volta'] },
+  858: { name: 'Uruguay',                           region: 'south-america', aliases: [] },
+  860: { name: 'Uzbekistan',                        region: 'asia',          aliases: [] },
+  862: { name: 'Venezuela',                         region: 'south-america', aliases: [] },
+  704: { name: 'Vietnam',                           region: 'asia',          aliases: ['viet nam'] },
+  882: { name: 'Samoa',                             region: 'oceania',       aliases: [] },
+  887: { name: 'Yemen',                             region: 'middle-east',   aliases: [] },
+  894: { name: 'Zambia',                            region: 'africa',        aliases: [] },
 };
 
 // ── Difficulty tiers ─────────────────────────────────────────────────────────
@@ -186,7 +222,7 @@ const COUNTRY_INFO = {
 //   easy   (20) — globally iconic outlines; most players will know these
 //   medium (20) — recognisable with some geography knowledge
 //   hard   (20) — requires studied knowledge; distinctive but less familiar
-//   expert (~129) — everything else: smaller, obscure, or easy to confuse
+//   expert (~135) — everything else: smaller, obscure, or easy to confuse
 
 const TIER_MAP = new Map([
   // ── Easy (20) ────────────────────────────────────────────────────────────────
@@ -259,7 +295,8 @@ const TIER_MAP = new Map([
 ]);
 
 // Countries where distant overseas territories make the mainland appear tiny.
-// For these, only the largest polygon (by bounding-box area) is displayed.
+// With the default territory setting only the largest polygon (by
+// bounding-box area) is displayed; see territoryVariants() for the others.
 const MAINLAND_ONLY_IDS = new Set([
   36,   // Australia     — Heard Island, Cocos Islands, Christmas Island, Norfolk Island
   152,  // Chile         — Easter Island, Juan Fernández Islands
@@ -272,6 +309,21 @@ const MAINLAND_ONLY_IDS = new Set([
   840,  // United States — Alaska, Hawaii
 ]);
 
+// Countries smaller than this (in square degrees, see featureMetrics) are
+// scaled up so far that their shape alone gives no sense of place, so they
+// get a locator inset showing the surrounding region.
+const INSET_MAX_AREA = 0.5;
+
+// Minimum distance from the centre of an inset to its edge, in degrees of latitude.
+const INSET_HALF_SPAN = 8;
+
+// Distant territories closer than this to each other (in degrees) share an
+// inset box, so Guadeloupe and Martinique aren't drawn separately.
+const TERRITORY_CLUSTER_GAP = 5;
+
+// Most inset boxes drawn for one country; the smallest clusters are left out.
+const MAX_TERRITORY_BOXES = 3;
+
 // ── SVG path generation ───────────────────────────────────────────────────────
 
 /**
@@ -289,7 +341,7 @@ export function keepLargestPolygon(feat) {
   let bestScore = 0;
 
   for (const polygon of coordinates) {
-    const ring = polygon[0];
+    const ring = unwrapRing(polygon[0]); // A crossing island isn't 360° wide
     let minLon = Infinity, maxLon = -Infinity;
     let minLat = Infinity, maxLat = -Infinity;
     for (const [lon, lat] of ring) {
@@ -307,13 +359,13 @@ export function keepLargestPolygon(feat) {
 }
 
 /**
- * Convert a GeoJSON feature's geometry to a normalised SVG path string
- * that fits inside a 200×200 viewBox with padding, preserving aspect ratio.
+ * Valid rings of a feature: every ring of a Polygon or MultiPolygon that has
+ * only finite coordinates (guards against malformed data in the TopoJSON).
  *
  * @param {GeoJSON.Feature} feat
- * @returns {string} SVG path `d` attribute value
+ * @returns {Array<Array<[number, number]>>} Empty for non-polygon geometry.
  */
-export function featureToSvgPath(feat) {
+function validRingsOf(feat) {
   const { type, coordinates } = feat.geometry;
 
   // Collect all rings from Polygon or MultiPolygon
@@ -323,15 +375,70 @@ export function featureToSvgPath(feat) {
   } else if (type === 'MultiPolygon') {
     allRings = coordinates.flat(1);
   } else {
-    return '';
+    return [];
   }
 
-  // Filter rings that contain any non-finite coordinate (guards against
-  // malformed data in the TopoJSON)
-  const validRings = allRings.filter(ring =>
+  return allRings.filter(ring =>
     ring.every(([lon, lat]) => isFinite(lon) && isFinite(lat))
   );
-  if (validRings.length === 0) return '';
+}
+
+/**
+ * Smallest and largest of a list of numbers. A loop rather than
+ * Math.min(...values): spreading a detailed imported outline's hundreds of
+ * thousands of vertices overflows the call stack.
+ *
+ * @param {number[]} values
+ * @returns {[number, number]} [Infinity, -Infinity] for an empty list.
+ */
+function extent(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  return [min, max];
+}
+
+/**
+ * Make a feature's rings continuous in longitude, so a country crossing the
+ * antimeridian (Fiji, Kiribati, Russia's Chukotka) has one compact bounding
+ * box instead of one ~360° wide. Each ring is unwrapped, then rings in the
+ * western hemisphere are moved east by 360° if that brings the whole set
+ * closer together. Longitudes may end up past 180.
+ *
+ * @param {Array<Array<[number, number]>>} rings
+ * @returns {Array<Array<[number, number]>>}
+ */
+function continuousRings(rings) {
+  const unwrapped = rings.map(unwrapRing);
+  const lonSpan = set => {
+    const [west, east] = extent(set.flatMap(ring => ring.map(([lon]) => lon)));
+    return east - west;
+  };
+  if (unwrapped.length === 0 || lonSpan(unwrapped) <= 180) return unwrapped;
+
+  const shifted = unwrapped.map(ring =>
+    ring[0][0] < 0 ? ring.map(([lon, lat]) => [lon + 360, lat]) : ring);
+  return lonSpan(shifted) < lonSpan(unwrapped) ? shifted : unwrapped;
+}
+
+/**
+ * Work out the projection that fits a feature inside a 200×200 viewBox with
+ * padding, preserving aspect ratio. Other features projected with the same
+ * frame line up with it, which is how neighbours are drawn in context.
+ *
+ * @param {GeoJSON.Feature} feat
+ * @returns {{ project: (point: [number, number]) => [number, number], centreLon: number,
+ *             view: [number, number, number, number] }|null}
+ *          view is the [west, south, east, north] window of the whole 200×200
+ *          box, used to find which other countries are in sight; null when the
+ *          feature can't be drawn (see featureToSvgPath)
+ */
+export function svgFrame(feat) {
+  const validRings = continuousRings(validRingsOf(feat));
+  if (validRings.length === 0) return null;
 
   // Bounding box across all valid rings
   let minLon = Infinity, maxLon = -Infinity;
@@ -348,10 +455,9 @@ export function featureToSvgPath(feat) {
   const lonRange = maxLon - minLon || 1;
   const latRange = maxLat - minLat || 1;
 
-  // Countries whose bounding box spans > 180° are crossing the antimeridian
-  // (e.g. Kiribati, Fiji). The naive bounding box becomes ~360° wide and the
-  // shape renders as an invisible sliver. Skip them entirely.
-  if (lonRange > 180) return '';
+  // Rings are already continuous across the antimeridian, so anything still
+  // spanning > 180° wraps most of the globe and would render as a sliver.
+  if (lonRange > 180) return null;
 
   // Cosine correction: at high latitudes a degree of longitude is shorter
   // than a degree of latitude, so we compress the x-axis by cos(centreLatitude).
@@ -367,19 +473,93 @@ export function featureToSvgPath(feat) {
   const projW  = correctedLonRange * scale;
   const projH  = latRange * scale;
 
-  // Skip anything that still renders too small to be recognisable
-  if (projW < 4 || projH < 4) return '';
+  // Skip slivers too thin to draw. Small countries are fine: they're scaled
+  // up like any other, and the game adds a locator inset (see loadCountries).
+  if (projW < 4 || projH < 4) return null;
 
   // Centre the projected shape in the viewBox
   const offsetX = (200 - projW) / 2;
   const offsetY = (200 - projH) / 2;
 
-  const project = ([lon, lat]) => [
-    (lon - minLon) * lonScale * scale + offsetX, // Apply cosine correction to x
-    (maxLat - lat) * scale + offsetY,            // Flip Y: SVG Y grows downward
-  ];
+  return {
+    project: ([lon, lat]) => [
+      (lon - minLon) * lonScale * scale + offsetX, // Apply cosine correction to x
+      (maxLat - lat) * scale + offsetY,            // Flip Y: SVG Y grows downward
+    ],
+    centreLon: (minLon + maxLon) / 2,
+    view: [
+      minLon - offsetX / (lonScale * scale),
+      maxLat - (200 - offsetY) / scale,
+      minLon + (200 - offsetX) / (lonScale * scale),
+      maxLat + offsetY / scale,
+    ],
+  };
+}
 
-  return validRings
+/**
+ * Bounding box [west, south, east, north] of each polygon's outer ring,
+ * unwrapped so rings crossing the antimeridian don't span the whole world.
+ *
+ * @param {GeoJSON.Feature} feat
+ * @returns {Array<[number, number, number, number]>}
+ */
+function polygonBoxes(feat) {
+  const { type, coordinates } = feat.geometry;
+  const polygons = type === 'Polygon' ? [coordinates] : type === 'MultiPolygon' ? coordinates : [];
+  return polygons
+    .map(polygon => unwrapRing(polygon[0] ?? []))
+    .filter(ring => ring.length > 0 && ring.every(([lon, lat]) => isFinite(lon) && isFinite(lat)))
+    .map(ring => {
+      const [west, east]   = extent(ring.map(([lon]) => lon));
+      const [south, north] = extent(ring.map(([, lat]) => lat));
+      return [west, south, east, north];
+    });
+}
+
+/**
+ * Whether any box overlaps a frame's view, allowing for the view and the
+ * box sitting on opposite sides of the antimeridian.
+ *
+ * @param {Array<[number, number, number, number]>} boxes  See polygonBoxes().
+ * @param {[number, number, number, number]} view  See svgFrame().
+ * @returns {boolean}
+ */
+function inView(boxes, [west, south, east, north]) {
+  return boxes.some(([w, s, e, n]) =>
+    s <= north && n >= south &&
+    [-360, 0, 360].some(shift => w + shift <= east && e + shift >= west));
+}
+
+/**
+ * Convert a GeoJSON feature's geometry to a normalised SVG path string
+ * that fits inside a 200×200 viewBox with padding, preserving aspect ratio.
+ *
+ * Pass another feature's frame (see svgFrame) to draw this feature in that
+ * feature's coordinates instead, e.g. a neighbour around the country being
+ * guessed. Rings are then unwrapped and moved to the frame's side of the
+ * antimeridian, so Russia still lines up with Finland.
+ *
+ * @param {GeoJSON.Feature} feat
+ * @param {ReturnType<typeof svgFrame>} [frame]  Defaults to the feature's own frame.
+ * @returns {string} SVG path `d` attribute value
+ */
+export function featureToSvgPath(feat, frame) {
+  const ownFrame = frame === undefined;
+  const { project, centreLon } = (ownFrame ? svgFrame(feat) : frame) ?? {};
+  if (!project) return '';
+
+  let rings = validRingsOf(feat);
+  if (ownFrame) {
+    rings = continuousRings(rings);
+  } else {
+    rings = rings.map(ring => {
+      const unwrapped = unwrapRing(ring);
+      const shift = Math.round((centreLon - unwrapped[0][0]) / 360) * 360;
+      return shift === 0 ? unwrapped : unwrapped.map(([lon, lat]) => [lon + shift, lat]);
+    });
+  }
+
+  return rings
     .map(ring =>
       ring
         .map(([lon, lat], i) => {
@@ -391,24 +571,212 @@ export function featureToSvgPath(feat) {
     .join(' ');
 }
 
+/**
+ * Summarise a feature's geometry for comparing countries with each other
+ * (used to pick plausible multiple-choice distractors).
+ *
+ *   centre — bounding-box centre as [lon, lat]
+ *   area   — cosine-corrected shoelace area of the outer rings, in square degrees
+ *   aspect — cosine-corrected width / height of the bounding box
+ *
+ * @param {GeoJSON.Feature} feat
+ * @returns {{ centre: [number, number], area: number, aspect: number }|null}
+ *          null for non-polygon or fully malformed geometry
+ */
+export function featureMetrics(feat) {
+  const { type, coordinates } = feat.geometry;
+  let polygons;
+  if (type === 'Polygon')           polygons = [coordinates];
+  else if (type === 'MultiPolygon') polygons = coordinates;
+  else return null;
+
+  const outerRings = continuousRings(polygons
+    .map(polygon => polygon[0])
+    .filter(ring => ring && ring.every(([lon, lat]) => isFinite(lon) && isFinite(lat))));
+  if (outerRings.length === 0) return null;
+
+  let minLon = Infinity, maxLon = -Infinity;
+  let minLat = Infinity, maxLat = -Infinity;
+  for (const ring of outerRings) {
+    for (const [lon, lat] of ring) {
+      if (lon < minLon) minLon = lon;
+      if (lon > maxLon) maxLon = lon;
+      if (lat < minLat) minLat = lat;
+      if (lat > maxLat) maxLat = lat;
+    }
+  }
+
+  const centreLat = (minLat + maxLat) / 2;
+  const lonScale  = Math.cos((centreLat * Math.PI) / 180);
+
+  let area = 0;
+  for (const ring of outerRings) {
+    let sum = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      sum += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+    }
+    area += Math.abs(sum) / 2;
+  }
+
+  // Fold the centre back into -180…180 after unwrapping
+  const centreLon = (((minLon + maxLon) / 2 + 540) % 360) - 180;
+
+  return {
+    centre: [centreLon, centreLat],
+    area:   area * lonScale,
+    aspect: ((maxLon - minLon) * lonScale || 1) / ((maxLat - minLat) || 1),
+  };
+}
+
+// ── World map (locate mode) ───────────────────────────────────────────────────
+// Unlike featureToSvgPath(), which fits each country into its own 200×200
+// box, every feature here shares one equirectangular projection, so the
+// countries line up into a world map.
+
+/** Full-world viewBox: 360 × 180 units, one per degree. */
+export const WORLD_VIEWBOX = [0, 0, 360, 180];
+
+/**
+ * Project [lon, lat] onto the shared world map (equirectangular).
+ * x runs 0 → 360 west to east; y runs 0 → 180 north to south.
+ *
+ * @param {[number, number]} point
+ * @returns {[number, number]}
+ */
+export function projectWorld([lon, lat]) {
+  return [lon + 180, 90 - lat];
+}
+
+/**
+ * Inverse of projectWorld(): map coordinates back to [lon, lat]. x values
+ * past either edge (wrapped copies of antimeridian rings) fold back into
+ * -180…180.
+ *
+ * @param {[number, number]} point
+ * @returns {[number, number]}
+ */
+export function unprojectWorld([x, y]) {
+  return [((((x - 180) % 360) + 540) % 360) - 180, 90 - y];
+}
+
+/**
+ * Make a ring's longitudes continuous: wherever consecutive points jump by
+ * more than 180° (the ring crosses the antimeridian), shift the rest of the
+ * ring by ±360° so it carries on past ±180 instead of wrapping round.
+ * Never mutates the input.
+ *
+ * @param {Array<[number, number]>} ring
+ * @returns {Array<[number, number]>}
+ */
+export function unwrapRing(ring) {
+  let offset = 0;
+  return ring.map(([lon, lat], i) => {
+    if (i > 0) {
+      const prevLon = ring[i - 1][0];
+      if (lon - prevLon > 180)  offset -= 360;
+      if (lon - prevLon < -180) offset += 360;
+    }
+    return [lon + offset, lat];
+  });
+}
+
+/**
+ * Convert a feature to an SVG path in the shared world projection.
+ * Coordinates are rounded to 0.1° and consecutive duplicates dropped, which
+ * keeps the full 50m map small enough to draw as one SVG. Rings that cross
+ * the antimeridian are unwrapped and drawn twice, once on each edge of the
+ * map, so they never streak across the whole width.
+ *
+ * @param {GeoJSON.Feature} feat
+ * @returns {string} SVG path `d` attribute value ('' for non-polygon geometry)
+ */
+export function featureToWorldPath(feat) {
+  const { type, coordinates } = feat.geometry;
+  let rings;
+  if (type === 'Polygon')           rings = coordinates;
+  else if (type === 'MultiPolygon') rings = coordinates.flat(1);
+  else return '';
+
+  const toPath = ring => {
+    const points = [];
+    for (const coord of ring) {
+      const [x, y] = projectWorld(coord).map(v => v.toFixed(1));
+      const prev   = points[points.length - 1];
+      if (!prev || prev[0] !== x || prev[1] !== y) points.push([x, y]);
+    }
+    if (points.length < 3) return '';
+    return points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x},${y}`).join(' ') + ' Z';
+  };
+
+  return rings
+    .filter(ring => ring.every(([lon, lat]) => isFinite(lon) && isFinite(lat)))
+    .flatMap(ring => {
+      const unwrapped = unwrapRing(ring);
+      const [west, east] = extent(unwrapped.map(([lon]) => lon));
+      const shift = east > 180 ? -360 : west < -180 ? 360 : 0;
+      if (shift === 0) return [toPath(unwrapped)];
+      return [toPath(unwrapped), toPath(unwrapped.map(([lon, lat]) => [lon + shift, lat]))];
+    })
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Summarise a feature for locate mode: mainland centre as [lon, lat] (for
+ * miss distances) and projected bounds [x0, y0, x1, y1] (for zooming to a
+ * region). Works on unwrapped rings so Russia and Fiji get sensible values.
+ *
+ * @param {GeoJSON.Feature} feat
+ * @returns {{ centre: [number, number], bounds: [number, number, number, number] }|null}
+ */
+function worldPlacement(feat) {
+  const { type, coordinates } = feat.geometry;
+  const polygons = type === 'Polygon' ? [coordinates] : type === 'MultiPolygon' ? coordinates : [];
+  if (polygons.length === 0) return null;
+  const unwrapped = { geometry: {
+    type: 'MultiPolygon',
+    coordinates: polygons.map(polygon => polygon.map(unwrapRing)),
+  } };
+
+  const rings   = keepLargestPolygon(unwrapped).geometry.coordinates;
+  const metrics = featureMetrics({ geometry: { type: 'Polygon', coordinates: rings } });
+  if (!metrics) return null;
+
+  const [lon, lat] = metrics.centre;
+  let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  for (const coord of rings[0]) {
+    const [x, y] = projectWorld(coord);
+    if (!isFinite(x) || !isFinite(y)) continue;
+    if (x < x0) x0 = x;
+    if (x > x1) x1 = x;
+    if (y < y0) y0 = y;
+    if (y > y1) y1 = y;
+  }
+  return {
+    centre: [((lon + 540) % 360) - 180, lat], // Back into -180…180
+    bounds: [x0, y0, x1, y1],
+  };
+}
+
 // ── Public API ────────────────────────────────────────────────────────────────
 
 /**
- * Fetch and process world country data.
- * Returns an array of country objects ready for use by game.js.
+ * Fetch a TopoJSON file, with a 10 s timeout and readable errors.
  *
- * @returns {Promise<Array<{id:number, name:string, aliases:string[], svgPath:string}>>}
+ * @param {string} url
+ * @param {string} label  What the file is, for error messages ('World atlas').
+ * @returns {Promise<object>} The parsed topology.
  */
-export async function loadCountries() {
+async function fetchTopology(url, label) {
   const controller = new AbortController();
   const timeoutId  = setTimeout(() => controller.abort(), 10_000);
 
   let response;
   try {
-    response = await fetch(WORLD_ATLAS_URL, { signal: controller.signal });
+    response = await fetch(url, { signal: controller.signal });
   } catch (err) {
     if (err.name === 'AbortError') {
-      throw new Error('World atlas load timed out (>10 s). Check your connection.');
+      throw new Error(`${label} load timed out (>10 s). Check your connection.`);
     }
     throw err;
   } finally {
@@ -416,40 +784,354 @@ export async function loadCountries() {
   }
 
   if (!response.ok) {
-    throw new Error(`World atlas fetch failed (HTTP ${response.status})`);
+    throw new Error(`${label} fetch failed (HTTP ${response.status})`);
   }
 
-  const topology = await response.json();
-  const collection = feature(topology, topology.objects.countries);
+  return response.json();
+}
+
+/** Fetch the world-atlas TopoJSON (see fetchTopology()). */
+function fetchAtlas() {
+  return fetchTopology(WORLD_ATLAS_URL, 'World atlas');
+}
 
-  const countries = [];
-  const seenIds   = new Set(); // Guard against duplicate features in the TopoJSON
+/**
+ * The features of one object of a topology, with which of them share a border.
+ *
+ * @param {object} topology
+ * @param {string} objectName
+ * @returns {{ features: GeoJSON.Feature[], adjacency: number[][] }}
+ *          adjacency[i] lists the indices of the features bordering features[i].
+ */
+export function topologyFeatures(topology, objectName) {
+  const object = topology.objects[objectName];
+  if (object.type !== 'GeometryCollection') {
+    return { features: [feature(topology, object)], adjacency: [[]] };
+  }
+  // Features sharing an arc share a border; indices line up with the features
+  return { features: feature(topology, object).features, adjacency: neighbors(object.geometries) };
+}
 
-  for (const feat of collection.features) {
-    if (!feat.id || !feat.geometry) continue;
+/**
+ * Turn a list of features into playable shapes: an SVG path, metrics,
+ * neighbours, context and insets for every feature describe() knows. Shared
+ * by loadCountries(), loadPack() and custom imports (custom.js), so every
+ * shape looks and plays exactly like a country.
+ *
+ * @param {{ features: GeoJSON.Feature[], adjacency: number[][] }} source
+ *        See topologyFeatures(); plain GeoJSON has an empty adjacency list per feature.
+ * @param {(feat: GeoJSON.Feature) => ({ id: number|string, name: string, aliases: string[],
+ *                                       region: string, tier: string }|null)} describe
+ *        Returns null to skip a feature (not in the name list).
+ * @param {Set<number|string>} [mainlandOnly]  Ids with distant territories (see territoryVariants()).
+ * @returns {Array} See loadCountries(); empty when nothing could be parsed.
+ */
+export function buildShapes({ features, adjacency }, describe, mainlandOnly = new Set()) {
+  const shapes       = [];
+  const seenIds      = new Set(); // Guard against duplicate features in the TopoJSON
+  const fullFeatures = new Map(); // id → every territory, for mainlandOnly
 
-    const id   = parseInt(feat.id, 10);
-    if (seenIds.has(id)) continue; // Skip duplicate entries (e.g. territory features)
-    const info = COUNTRY_INFO[id];
+  for (const [index, feat] of features.entries()) {
+    if (!feat.geometry) continue;
+
+    const info = describe(feat);
     if (!info) continue; // Not in our name list — skip
+    const { id } = info;
+    if (seenIds.has(id)) continue; // Skip duplicate entries (e.g. territory features)
 
-    const processedFeat = MAINLAND_ONLY_IDS.has(id) ? keepLargestPolygon(feat) : feat;
+    const processedFeat = mainlandOnly.has(id) ? keepLargestPolygon(feat) : feat;
     const svgPath = featureToSvgPath(processedFeat);
     if (!svgPath) continue; // Degenerate geometry — skip
 
+    const neighbours = adjacency[index]
+      .map(i => features[i])
+      .filter(n => n.geometry);
+    if (mainlandOnly.has(id)) fullFeatures.set(id, { feat, neighbours });
+
     seenIds.add(id);
-    countries.push({
+    shapes.push({
       id,
       name:    info.name,
       aliases: info.aliases,
       svgPath,
-      tier:    TIER_MAP.get(id) ?? 'expert',
+      tier:    info.tier,
+      region:  info.region,
+      metrics: featureMetrics(processedFeat),
+      feature: processedFeat,
+      neighbours,
     });
   }
 
+  // Context: every other feature with land inside the shape's 200×200 view.
+  // Neighbours out of view (French Guiana's, when France is mainland only) are dropped.
+  const boxed = features
+    .filter(feat => feat.geometry)
+    .map(feat => ({ feat, id: describe(feat)?.id ?? null, boxes: polygonBoxes(feat) }));
+  for (const shape of shapes) {
+    const { view } = svgFrame(shape.feature);
+    shape.nearby = featuresInView(boxed, shape.id, view);
+    shape.neighbours = shape.neighbours.filter(n => shape.nearby.includes(n));
+    shape.inset = shape.metrics.area < INSET_MAX_AREA ? insetFor(shape, view, boxed) : null;
+
+    const full = fullFeatures.get(shape.id);
+    shape.territories = full ? territoryVariants(shape, full.feat, full.neighbours, boxed) : null;
+  }
+
+  return shapes;
+}
+
+/**
+ * Fetch and process world country data.
+ * Returns an array of country objects ready for use by game.js.
+ *
+ * feature is the geometry svgPath was drawn from; neighbours are the
+ * features of every country sharing a border with it in view, and nearby every
+ * feature with land in sight of its 200×200 view (both include ones not in
+ * the game), so they can be drawn around it with featureToSvgPath().
+ * inset is set for small countries only (see insetFor()), territories for
+ * countries with distant territories only (see territoryVariants()). Both
+ * svgPath and feature are mainland only for the latter.
+ *
+ * @returns {Promise<Array<{id:number, name:string, aliases:string[], svgPath:string,
+ *                          tier:string, region:string, metrics:object,
+ *                          feature:GeoJSON.Feature, neighbours:GeoJSON.Feature[],
+ *                          nearby:GeoJSON.Feature[], inset:object|null,
+ *                          territories:object|null}>>}
+ */
+export async function loadCountries() {
+  const topology  = await fetchAtlas();
+  const countries = buildShapes(topologyFeatures(topology, 'countries'), feat => {
+    if (!feat.id) return null;
+    const id   = parseInt(feat.id, 10);
+    const info = COUNTRY_INFO[id];
+    return info ? { id, ...info, tier: TIER_MAP.get(id) ?? 'expert' } : null;
+  }, MAINLAND_ONLY_IDS);
+
   if (countries.length === 0) {
     throw new Error('No country data could be parsed from the world atlas.');
   }
-
   return countries;
 }
+
+/**
+ * Fetch and process one of the optional packs in packs.js. Shapes come back
+ * in the same form as loadCountries()' countries, with ids namespaced by
+ * pack ('us-states:06') so they never collide with a country's in the
+ * review schedule or the guess log.
+ *
+ * @param {string} packId  A key of PACKS.
+ * @returns {Promise<Array>} See loadCountries().
+ */
+export async function loadPack(packId) {
+  const pack = PACKS[packId];
+  if (!pack) throw new Error(`Unknown pack: ${packId}`);
+
+  const topology = await fetchTopology(pack.url, `${pack.label} pack`);
+  if (!topology.objects?.[pack.object]) {
+    throw new Error(`The ${pack.label} pack has no "${pack.object}" object.`);
+  }
+
+  const shapes = buildShapes(topologyFeatures(topology, pack.object), feat => {
+    const key  = pack.keyProperty ? feat.properties?.[pack.keyProperty] : feat.id;
+    const info = key === undefined ? undefined : pack.shapes[key];
+    return info ? { id: `${packId}:${key}`, tier: 'expert', ...info } : null;
+  });
+
+  if (shapes.length === 0) {
+    throw new Error(`No shapes could be parsed from the ${pack.label} pack.`);
+  }
+  return shapes;
+}
+
+/**
+ * Locator inset for a small country: a frame over the region around it
+ * (at least INSET_HALF_SPAN degrees each way, more for scattered island
+ * chains like Kiribati) and the features in sight of it. The frame is
+ * centred on the country, so it always sits in the middle of the inset.
+ *
+ * @param {{ id: number|string }} country
+ * @param {[number, number, number, number]} view  The country's own svgFrame() view.
+ * @param {Array<{ feat: GeoJSON.Feature, id: number|string|null, boxes: Array }>} boxed  See featuresInView().
+ * @returns {{ frame: ReturnType<typeof svgFrame>, nearby: GeoJSON.Feature[] }|null}
+ */
+function insetFor(country, [west, south, east, north], boxed) {
+  const lon = (west + east) / 2;
+  const lat = (south + north) / 2;
+  const halfLat = Math.max(INSET_HALF_SPAN, (north - south) / 2);
+  const halfLon = Math.max(INSET_HALF_SPAN / Math.cos((lat * Math.PI) / 180), (east - west) / 2);
+  const frame = svgFrame({
+    type: 'Feature',
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[
+        [lon - halfLon, lat - halfLat], [lon + halfLon, lat - halfLat],
+        [lon + halfLon, lat + halfLat], [lon - halfLon, lat + halfLat],
+        [lon - halfLon, lat - halfLat],
+      ]],
+    },
+  });
+  if (!frame) return null;
+
+  return { frame, nearby: featuresInView(boxed, country.id, frame.view) };
+}
+
+/**
+ * Every feature other than the country's own with land in sight of a view.
+ *
+ * @param {Array<{ feat: GeoJSON.Feature, id: number|string|null, boxes: Array }>} boxed
+ *        Every feature with the id of the shape it belongs to and its polygonBoxes().
+ * @param {number|string} id  The country's id.
+ * @param {[number, number, number, number]} view  See svgFrame().
+ * @returns {GeoJSON.Feature[]}
+ */
+function featuresInView(boxed, id, view) {
+  return boxed
+    .filter(entry => entry.id !== id && inView(entry.boxes, view))
+    .map(({ feat }) => feat);
+}
+
+/**
+ * Drawings of a country with distant territories (MAINLAND_ONLY_IDS) for the
+ * territory settings other than 'mainland':
+ *
+ *   all    — the whole feature in one frame, with the context and neighbours
+ *            of that frame (France borders Brazil through French Guiana)
+ *   insets — the mainland with the islands in sight of it (Corsica), and one
+ *            small box per cluster of distant territories, like Alaska and
+ *            Hawaii on a map of the United States
+ *
+ * @param {{ id: number, feature: GeoJSON.Feature }} country  The mainland-only country.
+ * @param {GeoJSON.Feature} full  Its feature with every territory.
+ * @param {GeoJSON.Feature[]} neighbours  Every country bordering the full feature.
+ * @param {Array<{ feat: GeoJSON.Feature, id: number|string|null, boxes: Array }>} boxed  See featuresInView().
+ * @returns {{ all: { svgPath: string, feature: GeoJSON.Feature, nearby: GeoJSON.Feature[],
+ *                    neighbours: GeoJSON.Feature[] },
+ *             insets: { svgPath: string, boxes: string[] } }|null}
+ */
+function territoryVariants(country, full, neighbours, boxed) {
+  const fullFrame     = svgFrame(full);
+  const mainlandFrame = svgFrame(country.feature);
+  if (!fullFrame || !mainlandFrame) return null;
+
+  const nearby = featuresInView(boxed, country.id, fullFrame.view);
+  const { near, clusters } = splitTerritories(full, mainlandFrame.view);
+  const multi = polygons => ({ ...full, geometry: { type: 'MultiPolygon', coordinates: polygons } });
+
+  return {
+    all: {
+      svgPath: featureToSvgPath(full),
+      feature: full,
+      nearby,
+      neighbours: neighbours.filter(n => nearby.includes(n)),
+    },
+    insets: {
+      svgPath: featureToSvgPath(multi(near), mainlandFrame),
+      boxes:   clusters.slice(0, MAX_TERRITORY_BOXES)
+        .map(cluster => featureToSvgPath(multi(cluster.polygons)))
+        .filter(Boolean),
+    },
+  };
+}
+
+/**
+ * Split a feature's polygons into those wholly inside the mainland's view
+ * and clusters of the rest, largest cluster (by vertex count) first.
+ *
+ * @param {GeoJSON.Feature} feat
+ * @param {[number, number, number, number]} view  The mainland's svgFrame() view.
+ * @returns {{ near: Array, clusters: Array<{ polygons: Array, box: number[], points: number }> }}
+ */
+function splitTerritories(feat, [west, south, east, north]) {
+  const { type, coordinates } = feat.geometry;
+  const polygons = type === 'Polygon' ? [coordinates] : coordinates;
+
+  const near = [];
+  let clusters = [];
+  for (const polygon of polygons) {
+    const [box] = polygonBoxes({ geometry: { type: 'Polygon', coordinates: polygon } });
+    if (!box) continue;
+    const [w, s, e, n] = box;
+    if (s >= south && n <= north && [-360, 0, 360].some(shift => w + shift >= west && e + shift <= east)) {
+      near.push(polygon);
+      continue;
+    }
+
+    // Merge every cluster this polygon is close to, so island chains join up
+    let merged = { polygons: [polygon], box, points: polygon[0].length };
+    clusters = clusters.filter(cluster => {
+      const shift = clusterShift(merged.box, cluster.box);
+      if (shift === null) return true;
+      const [cw, cs, ce, cn] = cluster.box;
+      merged = {
+        polygons: [...merged.polygons, ...cluster.polygons],
+        box: [Math.min(merged.box[0], cw + shift), Math.min(merged.box[1], cs),
+              Math.max(merged.box[2], ce + shift), Math.max(merged.box[3], cn)],
+        points: merged.points + cluster.points,
+      };
+      return false;
+    });
+    clusters.push(merged);
+  }
+
+  clusters.sort((a, b) => b.points - a.points);
+  return { near, clusters };
+}
+
+/**
+ * The longitude shift (0 or ±360) that brings box b within
+ * TERRITORY_CLUSTER_GAP degrees of box a, or null if it's too far away.
+ *
+ * @param {number[]} a  [west, south, east, north]
+ * @param {number[]} b
+ * @returns {number|null}
+ */
+function clusterShift([aw, as, ae, an], [bw, bs, be, bn]) {
+  const gap = TERRITORY_CLUSTER_GAP;
+  if (bs > an + gap || bn < as - gap) return null;
+  return [0, -360, 360].find(shift => bw + shift <= ae + gap && be + shift >= aw - gap) ?? null;
+}
+
+/**
+ * Fetch the atlas and project every feature onto the shared world map.
+ * Includes features loadCountries() drops (territories and disputed land
+ * with no COUNTRY_INFO entry) so the map has no holes; they come back with
+ * id null and are drawn as scenery.
+ *
+ * centre is the mainland's bounding-box centre and outline every outer ring
+ * in [lon, lat]; both are used for miss distances. bounds is the mainland's
+ * projected bounding box, used to zoom to a region.
+ *
+ * @returns {Promise<Array<{id: number|null, path: string,
+ *                          centre: [number, number]|null,
+ *                          outline: Array<Array<[number, number]>>,
+ *                          bounds: [number, number, number, number]|null}>>}
+ */
+export async function loadWorldMap() {
+  const topology   = await fetchAtlas();
+  const collection = feature(topology, topology.objects.countries);
+
+  const shapes  = [];
+  const seenIds = new Set();
+
+  for (const feat of collection.features) {
+    if (!feat.geometry) continue;
+    const path = featureToWorldPath(feat);
+    if (!path) continue;
+
+    let id = feat.id ? parseInt(feat.id, 10) : null;
+    if (!COUNTRY_INFO[id] || seenIds.has(id)) id = null; // Scenery only
+    if (id !== null) seenIds.add(id);
+
+    const { type, coordinates } = feat.geometry;
+    const placement = worldPlacement(feat);
+    shapes.push({
+      id,
+      path,
+      centre:  placement ? placement.centre : null,
+      outline: (type === 'Polygon' ? [coordinates] : coordinates).map(polygon => polygon[0]),
+      bounds:  placement ? placement.bounds : null,
+    });
+  }
+
+  return shapes;
+}
@@ -2,15 +2,61 @@
 // Imports from renderer.js (DOM) and audio.js (sound) but neither of
 // those modules imports from here, keeping dependencies one-directional.
 
-import { loadCountries }                         from './data.js';
+import { loadCountries, loadPack, loadWorldMap, unprojectWorld,
+         featureToSvgPath, svgFrame }            from './data.js';
 import { showCountry, playAnimation, updateStreak, updateTier, updateVignetteOpacity,
          updateHighScoreDisplay, setInputLocked, shakeInput, showAnswer, hideAnswer,
-         showLoadError, showLoading, hideLoading } from './renderer.js';
+         showLoadError, showLoading, hideLoading,
+         setActiveMode, updateDueCount,
+         showStats, hideStats, isStatsOpen,
+         showSpellingHint, hideSpellingHint,
+         updateSpellingToggle,
+         setChoiceMode, showChoices, revealChoice,
+         setBlitzMode, updateCountdown, updateBlitzLengthToggle,
+         setStreakLabel, setDailyMode, updateDailyProgress,
+         showDailyResult, hideDailyResult, isDailyResultOpen,
+         showCopyStatus, setRegionPicker,
+         setPackOptions, setPackPicker, setPickers,
+         setLocateMode, drawWorldMap, setLocateView, showLocatePrompt,
+         markLocate, clearLocateMarks, mapPointFromEvent,
+         setHintsEnabled, showHints, showNeighbours, clearHints,
+         updateContextToggle, showContext, showInset,
+         updateTerritoriesToggle, showTerritoryBoxes,
+         setModifierBar, updateModifierToggles, applyShapeTransform,
+         showImport, showImportError, showImportCheck, getImportOptions,
+         hideImport, isImportOpen, setDropHighlight } from './renderer.js';
 import { playCorrect, playMilestone, playWrong, playCompletion, unlockAudio } from './audio.js';
-import { normalise, matches, shuffle }           from './utils.js';
+import { matches, matchGuess, shuffle }          from './utils.js';
 import { getCountryPool, classifyCorrectGuess,
-         getActiveTier, computeVignetteOpacity } from './gameState.js';
-import { getHighScore, updateHighScore } from './storage.js';
+         getActiveTier, computeVignetteOpacity,
+         getTierCutoffs, resolveTier, TERRITORY_SETTINGS,
+         BLITZ_DURATIONS, BLITZ_SKIP_PENALTY_MS,
+         blitzTimeLeft, formatCountdown }        from './gameState.js';
+import { scheduleReview, pickReviewCountry, getDueCountries } from './review.js';
+import { summariseByCountry, summariseByTier, findConfusions } from './stats.js';
+import { buildChoices }                       from './choices.js';
+import { DAILY_COUNT, DAILY_SPELLING, dailyKey, pickDailyCountries,
+         formatDailyResult }                  from './daily.js';
+import { LOCATE_ROUND, scoreLocate, distanceToOutlineKm, fitViewBox } from './locate.js';
+import { HINT_STEPS, hintCredit, hintLines }  from './hints.js';
+import { pickTransform, scoreMultiplier, finalScore,
+         normaliseModifiers, hidesSurroundings } from './modifiers.js';
+import { WORLD_PACK, PACKS, PACK_ORDER }       from './packs.js';
+import { CUSTOM_PACK, readShapeFile, guessNameProperty,
+         checkShapes, buildCustomShapes }      from './custom.js';
+import { getHighScore, updateHighScore, getMode, setMode,
+         getReviewSchedule, saveReviewSchedule,
+         getGuessLog, recordGuess,
+         getSpelling, setSpelling,
+         getContext, setContext,
+         getTerritories, setTerritories,
+         getModifiers, setModifiers,
+         getBlitzBest, recordBlitzScore,
+         getBlitzLength, setBlitzLength,
+         getDailyProgress, saveDailyProgress,
+         getRegion, setRegion,
+         getPack, setPack,
+         getLocateBest, updateLocateBest }       from './storage.js';
 
 // ── Timing constants ──────────────────────────────────────────────────────────
 
@@ -19,34 +65,99 @@ const TIMINGS = {
   MILESTONE_MS:    900,
   COMPLETION_MS:   3200,
   STREAK_RESET_MS: 1500,
+  BLITZ_TICK_MS:   200,
 };
 
+/**
+ * Modes with a hint button and the context view. Daily is the same
+ * challenge for everyone; locate has the whole map.
+ */
+const HINT_MODES = ['endless', 'review', 'choice', 'blitz'];
+
 // ── State ─────────────────────────────────────────────────────────────────────
 
 const state = {
+  mode:        'endless', // 'endless' | 'review' | 'choice' | 'blitz' | 'daily' | 'locate'
   countries:   [],    // Full country list (loaded once, all tiers)
+  pack:        WORLD_PACK, // Shape pack in play (see packs.js)
+  packs:       new Map(), // Pack id → its shapes, loaded on first use (see loadPack)
+  customLabel: '',    // Name of the imported file whose shapes are under CUSTOM_PACK
+  imported:    null,  // { source, fileName, label } of the file in the import panel (see readShapeFile)
   remaining:   [],    // Per-tier shuffle queue
   current:     null,  // Country currently being shown
-  streak:      0,     // Correct answers in a row
+  shape:       null,  // The current country as drawn under the territory setting (see outlineOf)
+  shownAt:     0,     // Date.now() when the current country appeared
+  streak:      0,     // Correct answers in a row — drives tiers and milestones
+  score:       0,     // The same answers worth hintCredit() each (see hints.js), shown and saved
+  hints:       0,     // Hints used on the current country
   animating:   false, // Guard: blocks input during animation delay
   endlessTier: null,  // Active tier — detects tier transitions
+  schedule:    {},    // Review-mode cards keyed by country id (see review.js)
+  spelling:    'strict', // 'strict' | 'lenient' — how near-misses are treated
+  context:     'off', // 'on' | 'off' — draw the surrounding countries around the shape
+  territories: 'mainland', // One of TERRITORY_SETTINGS — how distant territories are drawn
+  modifiers:   [],    // Endless-mode shape modifiers (see modifiers.js)
+  choices:     [],    // Choice-mode options for the current country
+  region:      'all', // Region the pool is limited to (see REGIONS in gameState.js)
+  blitz: {
+    seconds:   60,      // Round length (one of BLITZ_DURATIONS)
+    startedAt: null,    // Date.now() at the first keystroke; null until then
+    penaltyMs: 0,       // Time lost to skips this round
+    timer:     null,    // setInterval id while the clock runs
+  },
+  daily: {
+    key:       '',      // Challenge date (see dailyKey)
+    countries: [],      // The day's countries, in order
+    marks:     [],      // 'correct' | 'wrong' | 'skip' per answered country
+  },
+  locate: {
+    shapes:    null,    // World map features (see loadWorldMap); null until first needed
+    byId:      new Map(), // Country id → its world map feature
+    queue:     [],      // Shuffled countries not yet asked
+    asked:     0,       // Countries asked so far this round
+  },
 };
 
-// Cached pool (all countries) — invalidated on reset.
-let _cachedPool = null;
+// Cached pool (mode + region) and its tier cutoffs — invalidated on reset.
+let _cachedPool    = null;
+let _cachedCutoffs = null;
+
+/**
+ * Every shape the selected pack offers. Daily and locate always use the
+ * world's countries: the daily challenge is the same for everyone and the
+ * world map only has countries on it.
+ */
+function playable() {
+  if (state.pack === WORLD_PACK || state.mode === 'daily' || state.mode === 'locate') {
+    return state.countries;
+  }
+  return state.packs.get(state.pack);
+}
 
 function countryPool() {
   if (!_cachedPool) {
-    _cachedPool = getCountryPool(state.countries, 'endless');
+    // Regions only exist for the world's countries
+    const region = playable() === state.countries ? state.region : 'all';
+    _cachedPool = getCountryPool(playable(), state.mode, region);
   }
   return _cachedPool;
 }
 
+/** Endless tier cutoffs for the current pool (see getTierCutoffs). */
+function tierCutoffs() {
+  if (!_cachedCutoffs) {
+    _cachedCutoffs = getTierCutoffs(countryPool());
+  }
+  return _cachedCutoffs;
+}
+
 // ── Game loop ─────────────────────────────────────────────────────────────────
 
 /**
  * Show the next country.
- * Uses per-tier shuffle queues that advance through easy → medium → hard → expert.
+ * Endless, choice and blitz modes draw from the tier queues; review mode asks
+ * the scheduler; daily mode walks the day's fixed list; locate mode has its
+ * own round (see advanceLocate).
  */
 function advance() {
   if (countryPool().length === 0) {
@@ -54,12 +165,44 @@ function advance() {
     return;
   }
 
-  const tier = getActiveTier('endless', state.streak);
+  if (state.mode === 'locate') {
+    advanceLocate();
+    return;
+  }
+
+  if (state.mode === 'daily') {
+    updateDailyProgress(state.daily.marks.length, DAILY_COUNT);
+    if (isDailyDone()) {
+      finishDaily();
+      return;
+    }
+  }
+
+  state.hints = 0;
+  clearHints();
+  state.current = state.mode === 'review' ? nextReviewCountry()
+                : state.mode === 'daily'  ? state.daily.countries[state.daily.marks.length]
+                : nextEndlessCountry();
+  updateDueCount(getDueCountries(countryPool(), state.schedule, Date.now()).length);
+  drawShape();
+  if (state.mode === 'choice') {
+    state.choices = buildChoices(state.current, countryPool());
+    showChoices(state.choices);
+  }
+  state.shownAt = Date.now();
+}
+
+/**
+ * Pop the next endless-mode country.
+ * Uses per-tier shuffle queues that advance through easy → medium → hard → expert.
+ */
+function nextEndlessCountry() {
+  const tier = resolveTier(getActiveTier('endless', state.streak, tierCutoffs()), countryPool());
   const tierChanged = tier !== state.endlessTier;
 
   if (state.remaining.length === 0 || tierChanged) {
     state.endlessTier = tier;
-    const tierPool = state.countries.filter(c => c.tier === tier);
+    const tierPool = countryPool().filter(c => c.tier === tier);
     const fresh = shuffle(tierPool);
     // Avoid immediate repeat on same-tier queue refill (not on tier change)
     if (!tierChanged && state.current && fresh[fresh.length - 1].id === state.current.id) {
@@ -69,13 +212,71 @@ function advance() {
     state.remaining = fresh;
   }
 
-  state.current = state.remaining.pop();
-  showCountry(state.current);
+  return state.remaining.pop();
 }
 
-/** Check whether the player's input matches the current country. */
-function isCorrect(input) {
-  return matches(input, state.current);
+/** Pick the most overdue review-mode country (see pickReviewCountry). */
+function nextReviewCountry() {
+  return pickReviewCountry(countryPool(), state.schedule, Date.now(), state.current);
+}
+
+/**
+ * Update and persist the current country's review card.
+ * No-op outside review mode so endless play never disturbs the schedule.
+ * An answer found with hints isn't known yet, so it's scheduled as a miss.
+ *
+ * @param {boolean} correct
+ */
+function recordReview(correct) {
+  if (state.mode !== 'review') return;
+  const id = state.current.id;
+  state.schedule[id] = scheduleReview(state.schedule[id], correct && state.hints === 0, Date.now());
+  saveReviewSchedule(state.schedule);
+}
+
+/**
+ * Append the answer to the guess log used by the stats screen.
+ *
+ * @param {boolean} correct
+ * @param {string}  raw      Player input ('' for a skip).
+ */
+function logGuess(correct, raw) {
+  recordGuess({
+    id:      state.current.id,
+    correct,
+    typed:   raw.trim(),
+    ms:      Date.now() - state.shownAt,
+    at:      Date.now(),
+  });
+}
+
+/**
+ * The run's score in whole points: hinted answers add fractions of a point,
+ * and a fraction never rounds up to a free point.
+ */
+function wholeScore() {
+  return Math.floor(state.score);
+}
+
+/**
+ * Save the current score as the high score if it's a new record, then
+ * update the display. Only endless streaks count; no-op when the score is 0.
+ * With modifiers on, the score is multiplied and saved for that set.
+ */
+function persistStreakIfBest() {
+  if (state.mode === 'endless' && wholeScore() > 0) {
+    updateHighScore(finalScore(wholeScore(), state.modifiers), state.modifiers);
+    updateHighScoreDisplay(getHighScore(state.modifiers));
+  }
+}
+
+/**
+ * Grade the player's input against the current country (see matchGuess).
+ * The daily challenge ignores the spelling setting (see DAILY_SPELLING).
+ */
+function gradeGuess(input) {
+  const spelling = state.mode === 'daily' ? DAILY_SPELLING : state.spelling;
+  return matchGuess(input, state.current, { spelling, others: playable() });
 }
 
 /**
@@ -86,12 +287,13 @@ function isCorrect(input) {
  */
 function handleStreakReset(doShake) {
   state.streak    = 0;
+  state.score     = 0;
   state.remaining = [];
   state.animating = true;
 
   updateStreak(0);
-  updateTier(getActiveTier('endless', 0));
-  updateVignetteOpacity(computeVignetteOpacity('endless', 0));
+  updateTier(getActiveTier(state.mode, 0, tierCutoffs()));
+  updateVignetteOpacity(computeVignetteOpacity(state.mode, 0, tierCutoffs()));
   playWrong().catch(e => console.error('[audio] playWrong failed:', e));
   setInputLocked(true);
   if (doShake) shakeInput();
@@ -110,35 +312,59 @@ function handleStreakReset(doShake) {
  */
 function handleGuess(raw) {
   if (state.animating) return;
+  hideSpellingHint();
+
+  if (state.mode === 'blitz') {
+    handleBlitzGuess(raw);
+    return;
+  }
+  if (state.mode === 'daily') {
+    handleDailyGuess(raw);
+    return;
+  }
 
   if (!raw.trim()) {
+    logGuess(false, '');
+    recordReview(false);
     handleStreakReset(false); // Skip — no shake
     return;
   }
 
-  if (isCorrect(raw)) {
+  const grade = gradeGuess(raw);
+
+  // Strict near-miss: no penalty, the player gets another go at the spelling
+  if (grade === 'close') {
+    showSpellingHint(raw);
+    return;
+  }
+
+  if (grade === 'correct') {
+    logGuess(true, raw);
+    recordReview(true);
     state.streak += 1;
+    state.score  += hintCredit(state.hints);
     state.animating = true;
 
     const result = classifyCorrectGuess(state.streak, countryPool().length);
 
-    // Completion: all expert countries guessed without a single miss.
+    // Completion: the hardest tier in the pool guessed without a single miss.
     // Use state.endlessTier (set by advance()) rather than getActiveTier() so the
     // check reflects which queue was actually exhausted, not just the new streak tier.
     // This prevents a false-positive when the hard queue runs dry at streak 61.
-    const isCompletion = state.endlessTier === 'expert'
+    // The hardest tier is usually expert, but a small region may have none.
+    const isCompletion = state.mode === 'endless'
+      && state.endlessTier === resolveTier('expert', countryPool())
       && state.remaining.length === 0;
 
     const isMilestone = result === 'milestone' && !isCompletion;
 
     setInputLocked(true);
-    updateStreak(state.streak);
-    updateTier(getActiveTier('endless', state.streak));
-    updateVignetteOpacity(computeVignetteOpacity('endless', state.streak));
+    updateStreak(wholeScore());
+    updateTier(getActiveTier(state.mode, state.streak, tierCutoffs()));
+    updateVignetteOpacity(computeVignetteOpacity(state.mode, state.streak, tierCutoffs()));
 
     if (isCompletion) {
-      updateHighScore(state.streak);
-      updateHighScoreDisplay(getHighScore());
+      persistStreakIfBest();
       playCompletion().catch(e => console.error('[audio] playCompletion failed:', e));
       playAnimation('completion');
       showAnswer('all countries mastered!');
@@ -148,6 +374,9 @@ function handleGuess(raw) {
         resetState();
       }, TIMINGS.COMPLETION_MS);
     } else {
+      // Lenient near-miss: accepted, but show the proper spelling
+      const misspelt = !matches(raw, state.current);
+      if (misspelt) showAnswer(state.current.name);
       if (isMilestone) {
         playMilestone().catch(e => console.error('[audio] playMilestone failed:', e));
         playAnimation('milestone');
@@ -156,6 +385,7 @@ function handleGuess(raw) {
         playAnimation('correct');
       }
       setTimeout(() => {
+        if (misspelt) hideAnswer();
         advance();
         state.animating = false;
         setInputLocked(false);
@@ -163,27 +393,706 @@ function handleGuess(raw) {
     }
 
   } else {
-    if (state.streak > 0) {
-      updateHighScore(state.streak);
-      updateHighScoreDisplay(getHighScore());
-    }
+    logGuess(false, raw);
+    recordReview(false);
+    persistStreakIfBest();
     handleStreakReset(true); // Wrong answer — shake
   }
 }
 
+/**
+ * Answer a choice-mode question by button index (0–3).
+ * Marks the buttons, then goes through the same path as a typed guess.
+ *
+ * @param {number} index
+ */
+function handleChoice(index) {
+  if (state.mode !== 'choice' || state.animating) return;
+  const picked = state.choices[index];
+  if (!picked) return;
+
+  revealChoice(state.choices.indexOf(state.current), index);
+  handleGuess(picked.name);
+}
+
+// ── Hints ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Reveal the next clue for the current country (see HINT_STEPS). Each one
+ * lowers what a correct answer is worth; the last draws the neighbouring
+ * countries around the shape.
+ */
+function requestHint() {
+  if (!HINT_MODES.includes(state.mode) || state.animating || !state.current) return;
+  if (state.hints >= HINT_STEPS.length) return;
+
+  startBlitzClock();
+  state.hints += 1;
+  drawHints();
+  document.getElementById('guess-input').focus();
+}
+
+/** Show the clues used so far, including the neighbours once they're revealed. */
+function drawHints() {
+  showHints(hintLines(state.shape, state.hints), state.hints === HINT_STEPS.length);
+  if (state.hints > HINT_STEPS.indexOf('neighbours')) {
+    const frame = svgFrame(state.shape.feature);
+    showNeighbours(state.shape.neighbours.map(n => featureToSvgPath(n, frame)).filter(Boolean));
+  }
+}
+
+// ── Blitz mode ────────────────────────────────────────────────────────────────
+
+/** Milliseconds left in the current blitz round. */
+function blitzMsLeft() {
+  const { seconds, startedAt, penaltyMs } = state.blitz;
+  return blitzTimeLeft(seconds * 1000, startedAt, penaltyMs, Date.now());
+}
+
+function renderCountdown() {
+  const ms = blitzMsLeft();
+  updateCountdown(formatCountdown(ms), ms);
+}
+
+/**
+ * Start the blitz clock on the player's first keystroke, so the round doesn't
+ * tick away before they're ready. No-op outside blitz or once running.
+ */
+function startBlitzClock() {
+  if (state.mode !== 'blitz' || state.animating || state.blitz.startedAt !== null) return;
+  state.blitz.startedAt = Date.now();
+  state.blitz.timer     = setInterval(tickBlitz, TIMINGS.BLITZ_TICK_MS);
+}
+
+/** Stop the clock and forget the round's timing. */
+function stopBlitzClock() {
+  clearInterval(state.blitz.timer);
+  state.blitz.timer     = null;
+  state.blitz.startedAt = null;
+  state.blitz.penaltyMs = 0;
+}
+
+function tickBlitz() {
+  renderCountdown();
+  if (blitzMsLeft() === 0) endBlitz();
+}
+
+/**
+ * Time's up: record the score on the leaderboard for this round length,
+ * show the result, then start a fresh round.
+ */
+function endBlitz() {
+  clearInterval(state.blitz.timer);
+  state.blitz.timer = null;
+  state.animating   = true;
+  setInputLocked(true);
+  hideSpellingHint();
+
+  const { seconds } = state.blitz;
+  const rank = recordBlitzScore(seconds, wholeScore());
+  updateHighScoreDisplay(getBlitzBest(seconds));
+
+  if (rank === 1) {
+    playCompletion().catch(e => console.error('[audio] playCompletion failed:', e));
+    playAnimation('completion');
+  }
+  const placing = rank === 1 ? ' — new best!' : rank > 0 ? ` — #${rank}` : '';
+  showAnswer(`time! ${wholeScore()} in ${seconds}s${placing}`);
+
+  setTimeout(() => {
+    hideAnswer();
+    state.animating = false;
+    resetState();
+  }, TIMINGS.COMPLETION_MS);
+}
+
+/**
+ * Process a blitz-mode guess. Speed is the point, so there are no animation
+ * delays: a correct answer moves straight on, a miss only shakes the input
+ * (the score never resets), and an empty guess skips at a time penalty.
+ *
+ * @param {string} raw
+ */
+function handleBlitzGuess(raw) {
+  hideAnswer();
+
+  if (!raw.trim()) {
+    logGuess(false, '');
+    state.blitz.penaltyMs += BLITZ_SKIP_PENALTY_MS;
+    showAnswer(state.current.name);
+    advance();
+    tickBlitz();
+    return;
+  }
+
+  const grade = gradeGuess(raw);
+
+  if (grade === 'close') {
+    showSpellingHint(raw);
+    return;
+  }
+
+  if (grade === 'correct') {
+    logGuess(true, raw);
+    state.streak += 1;
+    state.score  += hintCredit(state.hints);
+    updateStreak(wholeScore());
+    playCorrect().catch(e => console.error('[audio] playCorrect failed:', e));
+    if (!matches(raw, state.current)) showAnswer(state.current.name);
+    advance();
+    playAnimation('correct');
+  } else {
+    logGuess(false, raw);
+    playWrong().catch(e => console.error('[audio] playWrong failed:', e));
+    shakeInput();
+  }
+}
+
+function toggleBlitzLength() {
+  if (state.animating) return;
+  const i = BLITZ_DURATIONS.indexOf(state.blitz.seconds);
+  state.blitz.seconds = BLITZ_DURATIONS[(i + 1) % BLITZ_DURATIONS.length];
+  setBlitzLength(state.blitz.seconds);
+  updateBlitzLengthToggle(state.blitz.seconds);
+  resetState();
+}
+
+// ── Daily challenge ───────────────────────────────────────────────────────────
+
+function isDailyDone() {
+  return state.daily.marks.length >= DAILY_COUNT;
+}
+
+/** Load today's countries and any answers already given today. */
+function loadDaily() {
+  state.daily.key       = dailyKey(new Date());
+  state.daily.countries = pickDailyCountries(state.countries, state.daily.key);
+  state.daily.marks     = getDailyProgress(state.daily.key);
+  state.streak          = state.daily.marks.filter(m => m === 'correct').length;
+}
+
+/**
+ * Process a daily-challenge guess. Each country gets one answer (strict
+ * near-misses still get a retry); the day's progress is saved after every
+ * answer so a reload resumes where the player left off.
+ *
+ * @param {string} raw
+ */
+function handleDailyGuess(raw) {
+  if (isDailyDone()) {
+    showDailyResult(formatDailyResult(state.daily.key, state.daily.marks));
+    return;
+  }
+
+  let mark = 'skip';
+  if (raw.trim()) {
+    const grade = gradeGuess(raw);
+    if (grade === 'close') {
+      showSpellingHint(raw);
+      return;
+    }
+    mark = grade === 'correct' ? 'correct' : 'wrong';
+  }
+
+  logGuess(mark === 'correct', raw);
+  state.daily.marks.push(mark);
+  saveDailyProgress(state.daily.key, state.daily.marks);
+  state.animating = true;
+  setInputLocked(true);
+
+  if (mark === 'correct') {
+    state.streak += 1;
+    updateStreak(state.streak);
+    playCorrect().catch(e => console.error('[audio] playCorrect failed:', e));
+    playAnimation('correct');
+  } else {
+    playWrong().catch(e => console.error('[audio] playWrong failed:', e));
+    if (mark === 'wrong') shakeInput();
+    showAnswer(state.current.name);
+  }
+
+  setTimeout(() => {
+    hideAnswer();
+    state.animating = false;
+    setInputLocked(false);
+    advance();
+  }, mark === 'correct' ? TIMINGS.CORRECT_MS : TIMINGS.STREAK_RESET_MS);
+}
+
+/** All of today's countries answered: lock the input and show the result. */
+function finishDaily() {
+  setInputLocked(true);
+  showAnswer('done for today — enter shows your result');
+  showDailyResult(formatDailyResult(state.daily.key, state.daily.marks));
+}
+
+/** Copy the result text to the clipboard for pasting into chat. */
+function copyDailyResult() {
+  const text = formatDailyResult(state.daily.key, state.daily.marks);
+  if (!navigator.clipboard) {
+    showCopyStatus(false);
+    return;
+  }
+  navigator.clipboard.writeText(text).then(
+    () => showCopyStatus(true),
+    () => showCopyStatus(false),
+  );
+}
+
+// ── Locate mode ───────────────────────────────────────────────────────────────
+
+/** Countries in the pool that have a shape on the world map. */
+function locatePool() {
+  return countryPool().filter(c => state.locate.byId.has(c.id));
+}
+
+/**
+ * Start a fresh locate round: zoom the map to the pool and forget the
+ * previous round's queue. No-op until the map has loaded.
+ */
+function resetLocate() {
+  state.locate.queue = [];
+  state.locate.asked = 0;
+  if (!state.locate.shapes) return;
+
+  const pool = locatePool();
+  const viewBox = fitViewBox(pool.map(c => state.locate.byId.get(c.id).bounds).filter(Boolean));
+  if (viewBox) setLocateView(viewBox, new Set(pool.map(c => c.id)));
+}
+
+/**
+ * Fetch and draw the world map the first time locate mode is opened, then
+ * start the round. Input stays blocked while loading; on failure the player
+ * can switch modes and come back to retry.
+ */
+async function loadLocateMap() {
+  state.animating = true;
+  showAnswer('loading map…');
+  try {
+    const shapes = await loadWorldMap();
+    state.locate.shapes = shapes;
+    state.locate.byId   = new Map(shapes.filter(s => s.id !== null).map(s => [s.id, s]));
+    drawWorldMap(shapes);
+    state.animating = false;
+    resetState();
+  } catch (err) {
+    state.animating = false;
+    showAnswer(`could not load the map — ${err.message}`);
+  }
+}
+
+/** Ask for the next country, or end the round after LOCATE_ROUND of them. */
+function advanceLocate() {
+  if (!state.locate.shapes) {
+    loadLocateMap();
+    return;
+  }
+  if (state.locate.asked >= LOCATE_ROUND) {
+    endLocateRound();
+    return;
+  }
+  if (state.locate.queue.length === 0) state.locate.queue = shuffle(locatePool());
+  if (state.locate.queue.length === 0) {
+    showAnswer('no countries on the map for this region');
+    return;
+  }
+
+  state.current = state.locate.queue.pop();
+  state.locate.asked += 1;
+  clearLocateMarks();
+  showLocatePrompt(state.current.name, state.locate.asked, LOCATE_ROUND);
+  state.shownAt = Date.now();
+}
+
+/**
+ * Score a click on the world map. The right country scores full points; a
+ * miss scores by the distance from the click to the right country's border
+ * (or, where the click position is unavailable, from the clicked country's
+ * centre). The running total is shown as the score.
+ *
+ * @param {MouseEvent} e
+ */
+function handleLocateClick(e) {
+  if (state.mode !== 'locate' || state.animating || !state.current) return;
+
+  const clickedId = e.target.dataset && e.target.dataset.id ? Number(e.target.dataset.id) : null;
+  const correct   = clickedId === state.current.id;
+  let km = 0;
+  if (!correct) {
+    const point = mapPointFromEvent(e);
+    const at    = point ? unprojectWorld(point) : state.locate.byId.get(clickedId)?.centre;
+    km = at ? distanceToOutlineKm(at, state.locate.byId.get(state.current.id).outline) : Infinity;
+  }
+  const points = scoreLocate(correct, km);
+
+  state.streak   += points;
+  state.animating = true;
+  updateStreak(state.streak);
+  markLocate(state.current.id, clickedId);
+
+  if (correct) {
+    playCorrect().catch(e => console.error('[audio] playCorrect failed:', e));
+    showAnswer(`+${points}`);
+  } else {
+    playWrong().catch(e => console.error('[audio] playWrong failed:', e));
+    const off = isFinite(km) ? ` — ${Math.round(km).toLocaleString('en')} km off` : '';
+    showAnswer(`${state.current.name}${off}, +${points}`);
+  }
+
+  setTimeout(() => {
+    hideAnswer();
+    state.animating = false;
+    advance();
+  }, correct ? TIMINGS.CORRECT_MS : TIMINGS.STREAK_RESET_MS);
+}
+
+/** Round over: save the total if it's a new best, then start a new round. */
+function endLocateRound() {
+  state.animating = true;
+  const isBest = updateLocateBest(state.streak);
+  updateHighScoreDisplay(getLocateBest());
+
+  if (isBest) playCompletion().catch(e => console.error('[audio] playCompletion failed:', e));
+  showAnswer(`round over: ${state.streak} points${isBest ? ' — new best!' : ''}`);
+
+  setTimeout(() => {
+    hideAnswer();
+    state.animating = false;
+    resetState();
+  }, TIMINGS.COMPLETION_MS);
+}
+
+// ── Mode switching ────────────────────────────────────────────────────────────
+
+function switchMode(newMode) {
+  if (newMode === state.mode) return;
+  if (state.animating) return;
+
+  persistStreakIfBest();
+  setMode(newMode);
+  state.mode = newMode;
+  setActiveMode(newMode);
+  resetState();
+}
+
+// ── Region picker ─────────────────────────────────────────────────────────────
+
+/**
+ * Limit play to one region and start a fresh round. Endless, review, choice,
+ * blitz and locate all draw from the filtered pool; daily always uses every
+ * country.
+ *
+ * @param {string} region  One of REGIONS.
+ */
+function switchRegion(region) {
+  if (region === state.region) return;
+  if (state.animating) {
+    setRegionPicker(state.region); // Revert the <select> — change not applied
+    return;
+  }
+
+  persistStreakIfBest();
+  setRegion(region);
+  state.region = region;
+  resetState();
+}
+
+/**
+ * Play a different shape pack, loading it on first use, and start a fresh
+ * round. If the pack can't be loaded the current one stays in play.
+ *
+ * @param {string} pack  WORLD_PACK or a key of PACKS.
+ */
+async function switchPack(pack) {
+  if (pack === state.pack) return;
+  if (state.animating) {
+    setPackPicker(state.pack); // Revert the <select> — change not applied
+    return;
+  }
+
+  persistStreakIfBest();
+  if (pack !== WORLD_PACK && !state.packs.has(pack)) {
+    state.animating = true; // Block input while the pack loads
+    showLoading();
+    try {
+      state.packs.set(pack, await loadPack(pack));
+    } catch (err) {
+      hideLoading();
+      setPackPicker(state.pack);
+      resetState();
+      showAnswer(err.message);
+      return;
+    }
+    hideLoading();
+  }
+
+  if (pack !== CUSTOM_PACK) setPack(pack); // Imported shapes aren't kept across reloads
+  state.pack = pack;
+  resetState();
+}
+
+/** Options for the pack picker: the world, every built-in pack, then any import. */
+function packOptions() {
+  const options = PACK_ORDER.map(id => ({
+    id, label: id === WORLD_PACK ? 'countries' : PACKS[id].label,
+  }));
+  if (state.packs.has(CUSTOM_PACK)) options.push({ id: CUSTOM_PACK, label: state.customLabel });
+  return options;
+}
+
+// ── Custom shapes ─────────────────────────────────────────────────────────────
+
+/**
+ * Read a dropped or picked GeoJSON/TopoJSON file and open the import panel
+ * on it, with the name property guessed and every feature checked.
+ *
+ * @param {File} file
+ */
+async function openImport(file) {
+  let source;
+  try {
+    source = readShapeFile(await file.text());
+  } catch (err) {
+    state.imported = null;
+    showImportError(file.name, err.message);
+    return;
+  }
+
+  state.imported = { source, fileName: file.name, label: file.name.replace(/\.[^.]+$/, '') };
+  showImport({
+    fileName:     file.name,
+    count:        source.features.length,
+    properties:   source.properties,
+    nameProperty: guessNameProperty(source.properties),
+  });
+  checkImport();
+}
+
+/**
+ * Re-check the file in the import panel against the picked properties.
+ * No-op once the file has been dropped (the pickers still fire).
+ */
+function checkImport() {
+  if (!state.imported) return;
+  let checked;
+  try {
+    checked = checkShapes(state.imported.source, getImportOptions());
+  } catch {
+    dropImport("The file's shapes couldn't be checked.");
+    return;
+  }
+  showImportCheck(checked.valid.size, checked.errors);
+}
+
+/**
+ * Report a file that failed after it was read, and forget it so the
+ * property pickers stop re-checking it.
+ *
+ * @param {string} message
+ */
+function dropImport(message) {
+  showImportError(state.imported.fileName, message);
+  state.imported = null;
+}
+
+/**
+ * Play the imported file's valid shapes as the custom pack, replacing any
+ * earlier import. Daily and locate only use the world's countries, so they
+ * switch to endless.
+ */
+function playImport() {
+  if (state.animating || !state.imported) return;
+  const { source, label } = state.imported;
+  let shapes;
+  try {
+    ({ shapes } = buildCustomShapes(source, { label, ...getImportOptions() }));
+  } catch {
+    dropImport("The file's shapes couldn't be drawn.");
+    return;
+  }
+  if (shapes.length === 0) return;
+
+  persistStreakIfBest();
+  state.packs.set(CUSTOM_PACK, shapes);
+  state.customLabel = label;
+  state.imported    = null;
+  state.pack        = CUSTOM_PACK;
+  setPackOptions(packOptions());
+  setPackPicker(CUSTOM_PACK);
+  if (state.mode === 'daily' || state.mode === 'locate') {
+    setMode('endless');
+    state.mode = 'endless';
+    setActiveMode('endless');
+  }
+  hideImport();
+  resetState();
+}
+
+// ── Shape modifiers ───────────────────────────────────────────────────────────
+
+/** Modifiers that apply right now — endless mode only. */
+function activeModifiers() {
+  return state.mode === 'endless' ? state.modifiers : [];
+}
+
+/**
+ * Turn a modifier on or off. The modifier set has its own high score, so
+ * the current streak is saved under the old set and a fresh round starts.
+ *
+ * @param {string} id  One of MODIFIER_ORDER.
+ */
+function toggleModifier(id) {
+  if (state.animating) return;
+
+  persistStreakIfBest();
+  state.modifiers = normaliseModifiers(state.modifiers.includes(id)
+    ? state.modifiers.filter(m => m !== id)
+    : [...state.modifiers, id]);
+  setModifiers(state.modifiers);
+  updateModifierToggles(state.modifiers);
+  resetState();
+}
+
+// ── Drawing the shape ─────────────────────────────────────────────────────────
+
+/**
+ * A country as drawn under the territory setting: itself for 'mainland' and
+ * for countries without distant territories, otherwise with the setting's
+ * svgPath (and for 'all' its feature, nearby and neighbours) swapped in.
+ *
+ * @param {object} country  See loadCountries().
+ * @returns {object}
+ */
+function outlineOf(country) {
+  const variant = country.territories?.[state.territories];
+  return variant ? { ...country, ...variant } : country;
+}
+
+/** Draw the current country with its transform, territory boxes, context and inset. */
+function drawShape() {
+  state.shape = outlineOf(state.current);
+  showCountry(state.shape);
+  applyShapeTransform(pickTransform(activeModifiers(), state.shape.svgPath));
+  showTerritoryBoxes(hidesSurroundings(activeModifiers()) ? [] : state.shape.boxes ?? []);
+  drawContext();
+  drawInset();
+}
+
+function toggleTerritories() {
+  const i = TERRITORY_SETTINGS.indexOf(state.territories);
+  state.territories = TERRITORY_SETTINGS[(i + 1) % TERRITORY_SETTINGS.length];
+  setTerritories(state.territories);
+  updateTerritoriesToggle(state.territories);
+  if (state.current && state.mode !== 'locate') {
+    drawShape();
+    if (state.hints > 0) drawHints();
+  }
+  document.getElementById('guess-input').focus();
+}
+
+// ── Context setting ───────────────────────────────────────────────────────────
+
+/**
+ * Draw the countries around the current shape in the same projection, when
+ * the context setting is on. Clears them otherwise.
+ */
+function drawContext() {
+  const show = state.context === 'on' && HINT_MODES.includes(state.mode) && state.current;
+  if (!show) {
+    showContext([]);
+    return;
+  }
+  const frame = svgFrame(state.shape.feature);
+  showContext(state.shape.nearby.map(n => featureToSvgPath(n, frame)).filter(Boolean));
+}
+
+/**
+ * Draw the locator inset for a small country (see loadCountries), whose
+ * magnified shape alone says nothing about where it is. Hidden otherwise,
+ * and under modifiers (see hidesSurroundings()).
+ */
+function drawInset() {
+  const { inset, feature } = state.current;
+  if (!inset || hidesSurroundings(activeModifiers())) {
+    showInset(null);
+    return;
+  }
+  showInset({
+    region:  inset.nearby.map(n => featureToSvgPath(n, inset.frame)).filter(Boolean),
+    country: featureToSvgPath(feature, inset.frame),
+  });
+}
+
+function toggleContext() {
+  state.context = state.context === 'on' ? 'off' : 'on';
+  setContext(state.context);
+  updateContextToggle(state.context);
+  drawContext();
+  document.getElementById('guess-input').focus();
+}
+
+// ── Spelling setting ──────────────────────────────────────────────────────────
+
+function toggleSpelling() {
+  state.spelling = state.spelling === 'strict' ? 'lenient' : 'strict';
+  setSpelling(state.spelling);
+  updateSpellingToggle(state.spelling);
+  document.getElementById('guess-input').focus();
+}
+
+// ── Stats screen ──────────────────────────────────────────────────────────────
+
+function openStats() {
+  const log    = getGuessLog();
+  // Every shape loaded so far, so pack guesses show up alongside countries
+  const shapes = [...state.countries, ...[...state.packs.values()].flat()];
+  showStats({
+    tiers:      summariseByTier(log, shapes),
+    countries:  summariseByCountry(log, shapes),
+    confusions: findConfusions(log, shapes),
+  });
+}
+
 // ── Bootstrap ─────────────────────────────────────────────────────────────────
 
 /** Reset all game state and start a fresh round. */
 function resetState() {
   _cachedPool       = null;
+  _cachedCutoffs    = null;
   state.streak      = 0;
+  state.score       = 0;
   state.animating   = false;
   state.endlessTier = null;
   state.remaining   = [];
   state.current     = null;
-  updateStreak(0);
-  updateTier(getActiveTier('endless', 0));
-  updateVignetteOpacity(computeVignetteOpacity('endless', 0));
+  state.shape       = null;
+  stopBlitzClock();
+  hideAnswer();
+  hideDailyResult();
+  if (state.mode === 'daily') loadDaily();
+  if (state.mode === 'locate') resetLocate();
+  updateStreak(state.streak);
+  updateTier(getActiveTier(state.mode, 0, tierCutoffs()));
+  updateVignetteOpacity(computeVignetteOpacity(state.mode, 0, tierCutoffs()));
+  setChoiceMode(state.mode === 'choice');
+  setBlitzMode(state.mode === 'blitz');
+  setDailyMode(state.mode === 'daily');
+  setLocateMode(state.mode === 'locate');
+  setPickers({
+    pack:   state.mode !== 'daily' && state.mode !== 'locate',
+    region: state.mode !== 'daily' && playable() === state.countries,
+  });
+  setHintsEnabled(HINT_MODES.includes(state.mode));
+  setModifierBar(state.mode === 'endless');
+  const multiplier = scoreMultiplier(activeModifiers());
+  setStreakLabel(['blitz', 'daily', 'locate'].includes(state.mode) ? 'score'
+    : multiplier > 1 ? `streak ×${multiplier}` : 'streak');
+  // Blitz rounds have their own leaderboard per round length; daily has none
+  if (state.mode === 'blitz')       updateHighScoreDisplay(getBlitzBest(state.blitz.seconds));
+  else if (state.mode === 'daily')  updateHighScoreDisplay('–');
+  else if (state.mode === 'locate') updateHighScoreDisplay(getLocateBest());
+  else                              updateHighScoreDisplay(getHighScore(activeModifiers()));
+  if (state.mode === 'blitz') renderCountdown();
   setInputLocked(false);
   advance();
 }
@@ -193,6 +1102,7 @@ async function init() {
 
   input.addEventListener('keydown', e => {
     unlockAudio(); // Must be called synchronously within the user gesture
+    startBlitzClock();
     if (e.key === 'Enter') {
       e.preventDefault(); // Prevent iOS Safari from auto-blurring the input
       const value = input.value;
@@ -202,11 +1112,108 @@ async function init() {
     }
   });
 
+  document.getElementById('stats-btn').addEventListener('click', openStats);
+  document.getElementById('hint-btn').addEventListener('click', requestHint);
+  document.getElementById('spelling-btn').addEventListener('click', toggleSpelling);
+  document.getElementById('context-btn').addEventListener('click', toggleContext);
+  document.getElementById('territories-btn').addEventListener('click', toggleTerritories);
+  document.getElementById('blitz-length-btn').addEventListener('click', toggleBlitzLength);
+  document.getElementById('region-select').addEventListener('change', e => switchRegion(e.target.value));
+  document.getElementById('pack-select').addEventListener('change', e => switchPack(e.target.value));
+  document.getElementById('stats-close').addEventListener('click', hideStats);
+  document.getElementById('daily-close').addEventListener('click', hideDailyResult);
+  document.getElementById('daily-copy').addEventListener('click', copyDailyResult);
+
+  const importFile = document.getElementById('import-file');
+  document.getElementById('import-btn').addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', () => {
+    if (importFile.files.length > 0) openImport(importFile.files[0]);
+    importFile.value = ''; // Picking the same file again still fires change
+  });
+  document.getElementById('import-name').addEventListener('change', checkImport);
+  document.getElementById('import-aliases').addEventListener('change', checkImport);
+  document.getElementById('import-play').addEventListener('click', playImport);
+  document.getElementById('import-close').addEventListener('click', hideImport);
+  document.addEventListener('dragover', e => {
+    e.preventDefault(); // Allow the drop
+    setDropHighlight(true);
+  });
+  document.addEventListener('dragleave', e => {
+    if (e.relatedTarget === null) setDropHighlight(false); // Left the window
+  });
+  document.addEventListener('drop', e => {
+    e.preventDefault(); // Don't let the browser open the file instead
+    setDropHighlight(false);
+    const file = e.dataTransfer.files[0];
+    if (file) openImport(file);
+  });
+  document.getElementById('world-map').addEventListener('click', e => {
+    unlockAudio();
+    handleLocateClick(e);
+  });
+  document.addEventListener('keydown', e => {
+    if (e.key === 'Escape' && isStatsOpen()) hideStats();
+    if (e.key === 'Escape' && isDailyResultOpen()) hideDailyResult();
+    if (e.key === 'Escape' && isImportOpen()) hideImport();
+    if (e.key === '?' && !isStatsOpen()) {
+      e.preventDefault(); // Keep the ? out of the guess input
+      requestHint();
+    }
+    if (state.mode === 'choice' && !isStatsOpen() && e.key >= '1' && e.key <= '4') {
+      unlockAudio();
+      handleChoice(Number(e.key) - 1);
+    }
+  });
+
+  document.querySelectorAll('.choice-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      unlockAudio();
+      handleChoice(parseInt(btn.dataset.index, 10));
+    });
+  });
+
+  document.querySelectorAll('.modifier-btn').forEach(btn => {
+    btn.addEventListener('click', () => toggleModifier(btn.dataset.modifier));
+  });
+
+  document.querySelectorAll('.mode-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      unlockAudio();
+      switchMode(btn.dataset.mode);
+    });
+  });
+
   showLoading();
   try {
     state.countries = await loadCountries();
+    state.mode      = getMode();
+    state.schedule  = getReviewSchedule();
+    state.spelling  = getSpelling();
+    state.context   = getContext();
+    state.territories = getTerritories();
+    state.modifiers = getModifiers();
+    state.blitz.seconds = getBlitzLength();
+    state.region    = getRegion();
+    state.pack      = getPack();
+    if (state.pack !== WORLD_PACK) {
+      try {
+        state.packs.set(state.pack, await loadPack(state.pack));
+      } catch (err) {
+        // A pack that won't load shouldn't keep the countries out of reach
+        console.error('[packs] load failed:', err);
+        state.pack = WORLD_PACK;
+      }
+    }
     hideLoading();
-    updateHighScoreDisplay(getHighScore());
+    updateSpellingToggle(state.spelling);
+    updateContextToggle(state.context);
+    updateTerritoriesToggle(state.territories);
+    updateModifierToggles(state.modifiers);
+    updateBlitzLengthToggle(state.blitz.seconds);
+    setPackOptions(packOptions());
+    setPackPicker(state.pack);
+    setRegionPicker(state.region);
+    setActiveMode(state.mode);
     resetState();
   } catch (err) {
     showLoadError(err.message, init);
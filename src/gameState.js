@@ -2,7 +2,7 @@
 // Extracted from game.js so they can be imported and tested independently
 // without triggering any DOM access or module-level side effects.
 
-export const MODE_ORDER = ['endless'];
+export const MODE_ORDER = ['endless', 'review', 'choice', 'blitz', 'daily', 'locate'];
 
 /** Returns true if mode is a valid game mode string. */
 export function isValidMode(mode) {
@@ -11,7 +11,7 @@ export function isValidMode(mode) {
 
 /**
  * Return the mode that follows the given mode in the progression sequence.
- * Clamps at 'endless' — endless advances back to endless (reshuffle in place).
+ * Clamps at the last mode — it advances back to itself (reshuffle in place).
  *
  * @param {string} mode
  * @returns {string}
@@ -22,15 +22,39 @@ export function nextMode(mode) {
 }
 
 /**
- * Return the full country list for any mode.
- * Both 'practice' and 'endless' use the complete pool.
+ * How countries with distant territories are drawn: the mainland only, every
+ * territory in one outline, or the mainland with distant parts in inset
+ * boxes. The first entry is the default.
+ */
+export const TERRITORY_SETTINGS = ['mainland', 'all', 'insets'];
+
+/**
+ * Regions a player can restrict the country pool to. 'all' means no filter;
+ * every other id matches the `region` field in COUNTRY_INFO (data.js).
+ */
+export const REGIONS = [
+  'all', 'africa', 'europe', 'middle-east', 'asia',
+  'north-america', 'caribbean', 'south-america', 'oceania',
+];
+
+/** Returns true if region is a valid region id. */
+export function isValidRegion(region) {
+  return REGIONS.includes(region);
+}
+
+/**
+ * Return the countries in play for a mode and region.
+ * Daily mode ignores the region so everyone gets the same challenge.
+ * Always returns a new array.
  *
- * @param {Array<{tier: string}>} countries
+ * @param {Array<{tier: string, region?: string}>} countries
  * @param {string} mode
+ * @param {string} [region='all']
  * @returns {Array}
  */
-export function getCountryPool(countries, mode) {
-  return [...countries];
+export function getCountryPool(countries, mode, region = 'all') {
+  if (mode === 'daily' || region === 'all') return [...countries];
+  return countries.filter(c => c.region === region);
 }
 
 /**
@@ -136,6 +160,38 @@ export function drawEndlessCountry(countries, streak, exclude) {
   }
 }
 
+/**
+ * Tier cutoffs for a (possibly region-filtered) pool: each tier lasts as
+ * many correct answers as it has countries. For the whole world this equals
+ * ENDLESS_TIER_CUTOFFS; an empty tier gets a zero-length span.
+ *
+ * @param {Array<{tier: string}>} pool
+ * @returns {{ easy: number, medium: number, hard: number }}
+ */
+export function getTierCutoffs(pool) {
+  const count  = tier => pool.filter(c => c.tier === tier).length;
+  const easy   = count('easy');
+  const medium = easy + count('medium');
+  const hard   = medium + count('hard');
+  return { easy, medium, hard };
+}
+
+/**
+ * Map a tier onto the pool. Small regions may have no countries in some
+ * tiers: an empty tier resolves to the next harder non-empty one, or failing
+ * that the hardest non-empty tier. Returns the tier unchanged for an empty pool.
+ *
+ * @param {'easy'|'medium'|'hard'|'expert'} tier
+ * @param {Array<{tier: string}>} pool
+ * @returns {'easy'|'medium'|'hard'|'expert'}
+ */
+export function resolveTier(tier, pool) {
+  const present = ENDLESS_TIERS.filter(t => pool.some(c => c.tier === t));
+  if (present.length === 0) return tier;
+  const i = ENDLESS_TIERS.indexOf(tier);
+  return present.find(t => ENDLESS_TIERS.indexOf(t) >= i) ?? present[present.length - 1];
+}
+
 /**
  * Return the visual tier for the current game state.
  * Used to drive the data-tier attribute on <body> for CSS tension effects.
@@ -145,13 +201,14 @@ export function drawEndlessCountry(countries, streak, exclude) {
  *
  * @param {string} mode    Current game mode.
  * @param {number} streak  Current streak count.
+ * @param {{ easy: number, medium: number, hard: number }} [cutoffs]  See getTierCutoffs().
  * @returns {'easy' | 'medium' | 'hard' | 'expert'}
  */
-export function getActiveTier(mode, streak) {
+export function getActiveTier(mode, streak, cutoffs = ENDLESS_TIER_CUTOFFS) {
   if (mode !== 'endless') return 'easy';
-  if (streak <= ENDLESS_TIER_CUTOFFS.easy)   return 'easy';
-  if (streak <= ENDLESS_TIER_CUTOFFS.medium) return 'medium';
-  if (streak <= ENDLESS_TIER_CUTOFFS.hard)   return 'hard';
+  if (streak <= cutoffs.easy)   return 'easy';
+  if (streak <= cutoffs.medium) return 'medium';
+  if (streak <= cutoffs.hard)   return 'hard';
   return 'expert';
 }
 
@@ -164,13 +221,48 @@ export function getActiveTier(mode, streak) {
  *
  * @param {string} mode
  * @param {number} streak
+ * @param {{ hard: number }} [cutoffs]  See getTierCutoffs(); moves the expert start.
  * @returns {number} Opacity in [0, 1]
  */
-export function computeVignetteOpacity(mode, streak) {
+export function computeVignetteOpacity(mode, streak, cutoffs = ENDLESS_TIER_CUTOFFS) {
   if (mode !== 'endless') return 0;
-  const expertStart = ENDLESS_TIER_CUTOFFS.hard; // 60 — expert begins at streak > 60
+  const expertStart = cutoffs.hard; // 60 for the whole world — expert begins at streak > 60
   if (streak <= expertStart) {
-    return (streak / expertStart) * 0.30;
+    return expertStart > 0 ? (streak / expertStart) * 0.30 : 0;
   }
   return Math.min(0.30 + Math.floor((streak - expertStart) / 20) * 0.30, 1.0);
 }
+
+// ── Blitz mode — countdown ─────────────────────────────────────────────────
+
+/** Selectable blitz round lengths, in seconds. The first entry is the default. */
+export const BLITZ_DURATIONS = [60, 120];
+
+/** Time knocked off the blitz clock for each skipped shape. */
+export const BLITZ_SKIP_PENALTY_MS = 3000;
+
+/**
+ * Milliseconds left on the blitz clock, never negative.
+ * Before the first keystroke (startedAt === null) the full duration remains.
+ *
+ * @param {number}      durationMs  Round length.
+ * @param {number|null} startedAt   Date.now() when the clock started.
+ * @param {number}      penaltyMs   Total skip penalties so far.
+ * @param {number}      now
+ * @returns {number}
+ */
+export function blitzTimeLeft(durationMs, startedAt, penaltyMs, now) {
+  if (startedAt === null) return durationMs;
+  return Math.max(0, durationMs - (now - startedAt) - penaltyMs);
+}
+
+/**
+ * Format a countdown as m:ss, rounding up so "0:00" only shows at the end.
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatCountdown(ms) {
+  const total = Math.ceil(Math.max(0, ms) / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,72 @@
+// hints.js — pure helpers for the progressive hint system.
+// Each hint reveals one more clue about the current country, and every clue
+// used lowers what that country is worth. No DOM, no localStorage.
+
+/** Clues in the order they're revealed. */
+export const HINT_STEPS = ['region', 'letter', 'length', 'neighbours'];
+
+/** Share of a country's value lost per hint. */
+const HINT_COST = 0.25;
+
+/** Display names for the region clue, matching the region picker. */
+const REGION_NAMES = {
+  'africa':        'africa',
+  'europe':        'europe',
+  'middle-east':   'middle east',
+  'asia':          'asia',
+  'north-america': 'north america',
+  'caribbean':     'caribbean + central america',
+  'south-america': 'south america',
+  'oceania':       'oceania',
+};
+
+/**
+ * What a correct answer is worth after using some hints: 1 with none, a
+ * quarter less per hint, 0 once every hint has been used (the answer still
+ * keeps the streak alive).
+ *
+ * @param {number} hintsUsed
+ * @returns {number}
+ */
+export function hintCredit(hintsUsed) {
+  return Math.max(0, 1 - hintsUsed * HINT_COST);
+}
+
+/**
+ * Letter count of a name, word by word ("United States" → "6 + 6 letters").
+ * Only letters count, so apostrophes and hyphens don't give anything away.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function letterPattern(name) {
+  const counts = name.split(/\s+/)
+    .map(word => (word.match(/\p{L}/gu) ?? []).length)
+    .filter(n => n > 0);
+  return `${counts.join(' + ')} letters`;
+}
+
+/**
+ * The text of every clue revealed so far. The neighbours clue is drawn on
+ * the shape rather than written out, so its line only says how many there are.
+ *
+ * @param {{ name: string, region: string, neighbours?: Array }} country
+ * @param {number} used  Hints revealed (0 to HINT_STEPS.length).
+ * @returns {string[]}
+ */
+export function hintLines(country, used) {
+  return HINT_STEPS.slice(0, used).map(step => {
+    switch (step) {
+      case 'region':
+        return REGION_NAMES[country.region] ?? country.region;
+      case 'letter':
+        return `starts with ${country.name.charAt(0).toUpperCase()}`;
+      case 'length':
+        return letterPattern(country.name);
+      case 'neighbours': {
+        const n = country.neighbours ? country.neighbours.length : 0;
+        return n === 0 ? 'no land borders' : `${n} neighbour${n === 1 ? '' : 's'} shown`;
+      }
+    }
+  });
+}
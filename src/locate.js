@@ -0,0 +1,88 @@
+// locate.js — pure helpers for locate mode (name → click the country).
+// A correct click scores full points; a miss scores by how far the click was
+// from the correct country. No DOM, no localStorage.
+
+/** Countries per locate round. */
+export const LOCATE_ROUND = 10;
+
+/** Points for clicking the right country. */
+export const LOCATE_POINTS = 100;
+
+/** Points for the closest possible miss; falls to 0 at MISS_ZERO_KM. */
+const MISS_MAX_POINTS = 50;
+
+/** Misses at least this far from the country score nothing. */
+const MISS_ZERO_KM = 2500;
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance between two [lon, lat] points in kilometres.
+ *
+ * @param {[number, number]} a
+ * @param {[number, number]} b
+ * @returns {number}
+ */
+export function haversineKm([lonA, latA], [lonB, latB]) {
+  const rad  = deg => (deg * Math.PI) / 180;
+  const dLat = rad(latB - latA);
+  const dLon = rad(lonB - lonA);
+  const h    = Math.sin(dLat / 2) ** 2
+             + Math.cos(rad(latA)) * Math.cos(rad(latB)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Distance from a point to the nearest vertex of a country's outline.
+ * Vertices are dense enough at 50m resolution that this is a good stand-in
+ * for the distance to the border.
+ *
+ * @param {[number, number]} point  [lon, lat]
+ * @param {Array<Array<[number, number]>>} outline  Outer rings in [lon, lat].
+ * @returns {number} Kilometres, or Infinity for an empty outline.
+ */
+export function distanceToOutlineKm(point, outline) {
+  let best = Infinity;
+  for (const ring of outline) {
+    for (const vertex of ring) {
+      const km = haversineKm(point, vertex);
+      if (km < best) best = km;
+    }
+  }
+  return best;
+}
+
+/**
+ * Points for one locate answer.
+ * Correct clicks score LOCATE_POINTS. Misses score up to MISS_MAX_POINTS,
+ * falling linearly to 0 at MISS_ZERO_KM, so a near miss always beats a wild
+ * guess but never matches a hit.
+ *
+ * @param {boolean} correct
+ * @param {number}  km  Distance of the click from the correct country (ignored when correct).
+ * @returns {number}
+ */
+export function scoreLocate(correct, km) {
+  if (correct) return LOCATE_POINTS;
+  if (!isFinite(km)) return 0;
+  return Math.round(MISS_MAX_POINTS * Math.max(0, 1 - km / MISS_ZERO_KM));
+}
+
+/**
+ * The map viewBox that frames a set of projected bounding boxes, with
+ * padding on every side. Never wider than the world or taller than the
+ * poles allow, so the whole-world view isn't stretched by wrapped rings.
+ *
+ * @param {Array<[number, number, number, number]>} boundsList  [x0, y0, x1, y1] each.
+ * @param {number} [pad=4]  Padding in map units (degrees).
+ * @returns {[number, number, number, number]|null} [x, y, width, height], or null for an empty list.
+ */
+export function fitViewBox(boundsList, pad = 4) {
+  if (boundsList.length === 0) return null;
+  let x0 = Math.min(...boundsList.map(b => b[0])) - pad;
+  let x1 = Math.max(...boundsList.map(b => b[2])) + pad;
+  const y0 = Math.max(0,   Math.min(...boundsList.map(b => b[1])) - pad);
+  const y1 = Math.min(180, Math.max(...boundsList.map(b => b[3])) + pad);
+  if (x1 - x0 > 360) [x0, x1] = [0, 360];
+  return [x0, y0, x1 - x0, y1 - y0];
+}
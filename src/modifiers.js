@@ -0,0 +1,123 @@
+// modifiers.js — pure helpers for endless-mode shape modifiers.
+// Modifiers change how the outline from featureToSvgPath() is drawn (never
+// the path itself) and multiply the score. No DOM, no localStorage.
+
+/** Modifier ids in display order, with their score multipliers. */
+export const MODIFIERS = {
+  rotate: 1.5,  // Random rotation
+  mirror: 1.25, // Flipped left to right
+  crop:   2,    // Zoomed in on one stretch of the outline
+  reveal: 1.5,  // Outline drawn stroke by stroke, no fill
+};
+
+export const MODIFIER_ORDER = Object.keys(MODIFIERS);
+
+/** Crop window radius in path units (the shape fits a 200×200 box). */
+const CROP_RADIUS = 50;
+
+/** How far the crop window is blown up to fill the box. */
+const CROP_ZOOM = 1.8;
+
+/** Returns true if id is a known modifier. */
+export function isValidModifier(id) {
+  return MODIFIER_ORDER.includes(id);
+}
+
+/**
+ * Put a modifier set in canonical order with duplicates and unknown ids
+ * dropped, so the same set always maps to the same high score.
+ *
+ * @param {string[]} modifiers
+ * @returns {string[]}
+ */
+export function normaliseModifiers(modifiers) {
+  return MODIFIER_ORDER.filter(id => modifiers.includes(id));
+}
+
+/**
+ * Score multiplier for a modifier set: the product of its modifiers'
+ * multipliers (1 with none).
+ *
+ * @param {string[]} modifiers
+ * @returns {number}
+ */
+export function scoreMultiplier(modifiers) {
+  return normaliseModifiers(modifiers).reduce((product, id) => product * MODIFIERS[id], 1);
+}
+
+/**
+ * Points for a run played with a modifier set, in whole points: the
+ * multiplied score rounded down, so 7 answers with rotate score 10, not 10.5.
+ *
+ * @param {number}   points     Whole points earned before the multiplier.
+ * @param {string[]} [modifiers=[]]
+ * @returns {number}
+ */
+export function finalScore(points, modifiers = []) {
+  return Math.floor(points * scoreMultiplier(modifiers));
+}
+
+/**
+ * Returns true if a modifier set plays the outline alone. The territory boxes
+ * and the locator inset show the shape untransformed, so they would give away
+ * what the crop, rotation, mirroring or reveal hides.
+ *
+ * @param {string[]} modifiers
+ * @returns {boolean}
+ */
+export function hidesSurroundings(modifiers) {
+  return normaliseModifiers(modifiers).length > 0;
+}
+
+/**
+ * Every vertex of an SVG path made of M/L/Z commands (see featureToSvgPath).
+ *
+ * @param {string} d
+ * @returns {Array<[number, number]>}
+ */
+export function pathPoints(d) {
+  return [...d.matchAll(/[ML]\s*(-?[\d.]+),(-?[\d.]+)/g)].map(m => [Number(m[1]), Number(m[2])]);
+}
+
+/**
+ * Roll the drawing instructions for one shape.
+ *
+ * @param {string[]} modifiers
+ * @param {string}   d         The shape's path, used to aim the crop at the outline.
+ * @param {() => number} [random=Math.random]
+ * @returns {{ rotation: number, mirror: boolean,
+ *             crop: { cx: number, cy: number, r: number }|null, reveal: boolean }}
+ */
+export function pickTransform(modifiers, d, random = Math.random) {
+  const active = new Set(normaliseModifiers(modifiers));
+
+  // At least 30° either way, so the shape is never almost upright
+  const rotation = active.has('rotate') ? Math.round(30 + random() * 300) : 0;
+
+  let crop = null;
+  if (active.has('crop')) {
+    const points = pathPoints(d);
+    if (points.length > 0) {
+      const [cx, cy] = points[Math.floor(random() * points.length)];
+      crop = { cx, cy, r: CROP_RADIUS };
+    }
+  }
+
+  return { rotation, mirror: active.has('mirror'), crop, reveal: active.has('reveal') };
+}
+
+/**
+ * SVG transform attribute for pickTransform()'s result. The crop zoom is
+ * applied first, then the mirror, then the rotation, all about the centre of
+ * the 200×200 box.
+ *
+ * @param {ReturnType<typeof pickTransform>} transform
+ * @returns {string} '' when nothing moves.
+ */
+export function transformAttr({ rotation, mirror, crop }) {
+  const parts = [];
+  if (rotation) parts.push(`rotate(${rotation} 100 100)`);
+  if (mirror)   parts.push('translate(200 0) scale(-1 1)');
+  if (crop)     parts.push(`translate(100 100) scale(${CROP_ZOOM}) translate(${-crop.cx} ${-crop.cy})`);
+  return parts.join(' ');
+}
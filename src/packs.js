@@ -0,0 +1,190 @@
+// packs.js — optional shape packs, played instead of the world's countries.
+// Each pack names its own TopoJSON, the object in it to read, and the name,
+// aliases, region and tier of every shape, keyed by feature id. data.js
+// runs a pack through the same pipeline as the countries (loadPack()), so
+// the game loop doesn't care which one is loaded. No DOM, no localStorage.
+//
+// To add a pack, vendor its TopoJSON under data/packs/ and add an entry to
+// PACKS. Features whose key isn't listed are ignored, as with COUNTRY_INFO.
+// Regions are free text here (shown as the first hint); only the world
+// uses the region picker.
+//
+// Data sources (vendored locally — no CDN dependency at runtime):
+//   • us-atlas v3     : data/packs/us-states-10m.json  (npm:us-atlas@3.0.1, US Census Bureau)
+//   • datamaps 0.5.10 : data/packs/de-states.json, data/packs/ca-provinces.json
+//                       (npm:datamaps@0.5.10, Natural Earth admin-1)
+//   • territories use the world atlas itself (data/countries-50m.json)
+
+/** The built-in pack: every country in COUNTRY_INFO (see loadCountries()). */
+export const WORLD_PACK = 'world';
+
+/**
+ * @typedef {object} Pack
+ * @property {string} label        Shown in the pack picker.
+ * @property {string} url          TopoJSON file, relative to the page.
+ * @property {string} object       Name of the GeometryCollection in it.
+ * @property {string} [keyProperty]  Feature property holding the key; the feature id when omitted.
+ * @property {Object<string, {name: string, region: string, tier: string, aliases: string[]}>} shapes
+ */
+
+/** @type {Object<string, Pack>} */
+export const PACKS = {
+  'us-states': {
+    label:  'us states',
+    url:    './data/packs/us-states-10m.json',
+    object: 'states',
+    shapes: {
+      '01': { name: 'Alabama',              region: 'south',     tier: 'hard',   aliases: [] },
+      '02': { name: 'Alaska',               region: 'west',      tier: 'easy',   aliases: [] },
+      '04': { name: 'Arizona',              region: 'west',      tier: 'hard',   aliases: [] },
+      '05': { name: 'Arkansas',             region: 'south',     tier: 'hard',   aliases: [] },
+      '06': { name: 'California',           region: 'west',      tier: 'easy',   aliases: [] },
+      '08': { name: 'Colorado',             region: 'west',      tier: 'expert', aliases: [] },
+      '09': { name: 'Connecticut',          region: 'northeast', tier: 'expert', aliases: [] },
+      '10': { name: 'Delaware',             region: 'south',     tier: 'hard',   aliases: [] },
+      '11': { name: 'District of Columbia', region: 'south',     tier: 'expert', aliases: ['washington dc', 'washington d.c.', 'dc'] },
+      '12': { name: 'Florida',              region: 'south',     tier: 'easy',   aliases: [] },
+      '13': { name: 'Georgia',              region: 'south',     tier: 'hard',   aliases: [] },
+      '15': { name: 'Hawaii',               region: 'west',      tier: 'easy',   aliases: ["hawai'i"] },
+      '16': { name: 'Idaho',                region: 'west',      tier: 'medium', aliases: [] },
+      '17': { name: 'Illinois',             region: 'midwest',   tier: 'hard',   aliases: [] },
+      '18': { name: 'Indiana',              region: 'midwest',   tier: 'hard',   aliases: [] },
+      '19': { name: 'Iowa',                 region: 'midwest',   tier: 'hard',   aliases: [] },
+      '20': { name: 'Kansas',               region: 'midwest',   tier: 'hard',   aliases: [] },
+      '21': { name: 'Kentucky',             region: 'south',     tier: 'medium', aliases: [] },
+      '22': { name: 'Louisiana',            region: 'south',     tier: 'easy',   aliases: [] },
+      '23': { name: 'Maine',                region: 'northeast', tier: 'medium', aliases: [] },
+      '24': { name: 'Maryland',             region: 'south',     tier: 'medium', aliases: [] },
+      '25': { name: 'Massachusetts',        region: 'northeast', tier: 'medium', aliases: [] },
+      '26': { name: 'Michigan',             region: 'midwest',   tier: 'easy',   aliases: [] },
+      '27': { name: 'Minnesota',            region: 'midwest',   tier: 'medium', aliases: [] },
+      '28': { name: 'Mississippi',          region: 'south',     tier: 'hard',   aliases: [] },
+      '29': { name: 'Missouri',             region: 'midwest',   tier: 'hard',   aliases: [] },
+      '30': { name: 'Montana',              region: 'west',      tier: 'hard',   aliases: [] },
+      '31': { name: 'Nebraska',             region: 'midwest',   tier: 'hard',   aliases: [] },
+      '32': { name: 'Nevada',               region: 'west',      tier: 'medium', aliases: [] },
+      '33': { name: 'New Hampshire',        region: 'northeast', tier: 'hard',   aliases: [] },
+      '34': { name: 'New Jersey',           region: 'northeast', tier: 'medium', aliases: [] },
+      '35': { name: 'New Mexico',           region: 'west',      tier: 'hard',   aliases: [] },
+      '36': { name: 'New York',             region: 'northeast', tier: 'easy',   aliases: [] },
+      '37': { name: 'North Carolina',       region: 'south',     tier: 'hard',   aliases: [] },
+      '38': { name: 'North Dakota',         region: 'midwest',   tier: 'expert', aliases: [] },
+      '39': { name: 'Ohio',                 region: 'midwest',   tier: 'hard',   aliases: [] },
+      '40': { name: 'Oklahoma',             region: 'south',     tier: 'easy',   aliases: [] },
+      '41': { name: 'Oregon',               region: 'west',      tier: 'hard',   aliases: [] },
+      '42': { name: 'Pennsylvania',         region: 'northeast', tier: 'hard',   aliases: [] },
+      '44': { name: 'Rhode Island',         region: 'northeast', tier: 'expert', aliases: [] },
+      '45': { name: 'South Carolina',       region: 'south',     tier: 'hard',   aliases: [] },
+      '46': { name: 'South Dakota',         region: 'midwest',   tier: 'expert', aliases: [] },
+      '47': { name: 'Tennessee',            region: 'south',     tier: 'medium', aliases: [] },
+      '48': { name: 'Texas',                region: 'south',     tier: 'easy',   aliases: [] },
+      '49': { name: 'Utah',                 region: 'west',      tier: 'medium', aliases: [] },
+      '50': { name: 'Vermont',              region: 'northeast', tier: 'hard',   aliases: [] },
+      '51': { name: 'Virginia',             region: 'south',     tier: 'medium', aliases: [] },
+      '53': { name: 'Washington',           region: 'west',      tier: 'medium', aliases: ['washington state'] },
+      '54': { name: 'West Virginia',        region: 'south',     tier: 'medium', aliases: [] },
+      '55': { name: 'Wisconsin',            region: 'midwest',   tier: 'hard',   aliases: [] },
+      '56': { name: 'Wyoming',              region: 'west',      tier: 'expert', aliases: [] },
+    },
+  },
+
+  'de-states': {
+    label:       'german states',
+    url:         './data/packs/de-states.json',
+    object:      'deu',
+    keyProperty: 'name', // One feature in this file has a broken id
+    shapes: {
+      'Baden-Württemberg':      { name: 'Baden-Württemberg',             region: 'south', tier: 'medium', aliases: ['baden wurttemberg', 'baden-wuerttemberg'] },
+      'Bayern':                 { name: 'Bavaria',                       region: 'south', tier: 'easy',   aliases: ['bayern'] },
+      'Berlin':                 { name: 'Berlin',                        region: 'east',  tier: 'hard',   aliases: [] },
+      'Brandenburg':            { name: 'Brandenburg',                   region: 'east',  tier: 'hard',   aliases: [] },
+      'Bremen':                 { name: 'Bremen',                        region: 'north', tier: 'expert', aliases: [] },
+      'Hamburg':                { name: 'Hamburg',                       region: 'north', tier: 'expert', aliases: [] },
+      'Hessen':                 { name: 'Hesse',                         region: 'west',  tier: 'medium', aliases: ['hessen'] },
+      'Mecklenburg-Vorpommern': { name: 'Mecklenburg-Western Pomerania', region: 'north', tier: 'medium', aliases: ['mecklenburg-vorpommern', 'mecklenburg vorpommern', 'mecklenburg western pomerania'] },
+      'Niedersachsen':          { name: 'Lower Saxony',                  region: 'north', tier: 'medium', aliases: ['niedersachsen'] },
+      'Nordrhein-Westfalen':    { name: 'North Rhine-Westphalia',        region: 'west',  tier: 'easy',   aliases: ['nordrhein-westfalen', 'nordrhein westfalen', 'north rhine westphalia', 'nrw'] },
+      'Rheinland-Pfalz':        { name: 'Rhineland-Palatinate',          region: 'west',  tier: 'hard',   aliases: ['rheinland-pfalz', 'rheinland pfalz', 'rhineland palatinate'] },
+      'Saarland':               { name: 'Saarland',                      region: 'west',  tier: 'expert', aliases: [] },
+      'Sachsen':                { name: 'Saxony',                        region: 'east',  tier: 'medium', aliases: ['sachsen'] },
+      'Sachsen-Anhalt':         { name: 'Saxony-Anhalt',                 region: 'east',  tier: 'hard',   aliases: ['sachsen-anhalt', 'sachsen anhalt', 'saxony anhalt'] },
+      'Schleswig-Holstein':     { name: 'Schleswig-Holstein',            region: 'north', tier: 'easy',   aliases: ['schleswig holstein'] },
+      'Thüringen':              { name: 'Thuringia',                     region: 'east',  tier: 'hard',   aliases: ['thüringen', 'thueringen'] },
+    },
+  },
+
+  'ca-provinces': {
+    label:  'canadian provinces',
+    url:    './data/packs/ca-provinces.json',
+    object: 'can',
+    shapes: {
+      'CA.AB': { name: 'Alberta',                   region: 'prairies', tier: 'medium', aliases: [] },
+      'CA.BC': { name: 'British Columbia',          region: 'west',     tier: 'easy',   aliases: ['bc'] },
+      'CA.MB': { name: 'Manitoba',                  region: 'prairies', tier: 'medium', aliases: [] },
+      'CA.NB': { name: 'New Brunswick',             region: 'atlantic', tier: 'hard',   aliases: [] },
+      'CA.NF': { name: 'Newfoundland and Labrador', region: 'atlantic', tier: 'medium', aliases: ['newfoundland', 'labrador'] },
+      'CA.NS': { name: 'Nova Scotia',               region: 'atlantic', tier: 'hard',   aliases: [] },
+      'CA.NT': { name: 'Northwest Territories',     region: 'north',    tier: 'hard',   aliases: ['nwt'] },
+      'CA.NU': { name: 'Nunavut',                   region: 'north',    tier: 'easy',   aliases: [] },
+      'CA.ON': { name: 'Ontario',                   region: 'central',  tier: 'easy',   aliases: [] },
+      'CA.PE': { name: 'Prince Edward Island',      region: 'atlantic', tier: 'expert', aliases: ['pei'] },
+      'CA.QC': { name: 'Quebec',                    region: 'central',  tier: 'easy',   aliases: ['québec'] },
+      'CA.SK': { name: 'Saskatchewan',              region: 'prairies', tier: 'medium', aliases: [] },
+      'CA.YT': { name: 'Yukon',                     region: 'north',    tier: 'hard',   aliases: ['yukon territory'] },
+    },
+  },
+
+  // Regions match the world's, so the region hint reads the same. Territories
+  // the world already plays as countries (Greenland, New Caledonia, the
+  // Falklands) are left out, so no shape is asked under two ids.
+  'dependent-territories': {
+    label:  'territories',
+    url:    './data/countries-50m.json',
+    object: 'countries',
+    shapes: {
+      '016': { name: 'American Samoa',                               region: 'oceania',       tier: 'hard',   aliases: [] },
+      '060': { name: 'Bermuda',                                      region: 'north-america', tier: 'medium', aliases: [] },
+      '086': { name: 'British Indian Ocean Territory',               region: 'asia',          tier: 'expert', aliases: ['chagos islands', 'biot'] },
+      '092': { name: 'British Virgin Islands',                       region: 'caribbean',     tier: 'hard',   aliases: ['bvi'] },
+      '136': { name: 'Cayman Islands',                               region: 'caribbean',     tier: 'hard',   aliases: ['caymans'] },
+      '184': { name: 'Cook Islands',                                 region: 'oceania',       tier: 'expert', aliases: [] },
+      '234': { name: 'Faroe Islands',                                region: 'europe',        tier: 'medium', aliases: ['faeroe islands', 'faroes'] },
+      '239': { name: 'South Georgia and the South Sandwich Islands', region: 'south-america', tier: 'expert', aliases: ['south georgia'] },
+      '248': { name: 'Åland Islands',                                region: 'europe',        tier: 'hard',   aliases: ['aland', 'åland', 'aland islands'] },
+      '258': { name: 'French Polynesia',                             region: 'oceania',       tier: 'medium', aliases: [] },
+      '260': { name: 'French Southern and Antarctic Lands',          region: 'africa',        tier: 'expert', aliases: ['french southern lands', 'kerguelen'] },
+      '316': { name: 'Guam',                                         region: 'oceania',       tier: 'medium', aliases: [] },
+      '334': { name: 'Heard Island and McDonald Islands',            region: 'oceania',       tier: 'expert', aliases: ['heard island'] },
+      '344': { name: 'Hong Kong',                                    region: 'asia',          tier: 'medium', aliases: [] },
+      '446': { name: 'Macao',                                        region: 'asia',          tier: 'hard',   aliases: ['macau'] },
+      '500': { name: 'Montserrat',                                   region: 'caribbean',     tier: 'expert', aliases: [] },
+      '531': { name: 'Curaçao',                                      region: 'caribbean',     tier: 'hard',   aliases: ['curacao'] },
+      '533': { name: 'Aruba',                                        region: 'caribbean',     tier: 'hard',   aliases: [] },
+      '534': { name: 'Sint Maarten',                                 region: 'caribbean',     tier: 'expert', aliases: [] },
+      '570': { name: 'Niue',                                         region: 'oceania',       tier: 'expert', aliases: [] },
+      '574': { name: 'Norfolk Island',                               region: 'oceania',       tier: 'expert', aliases: [] },
+      '580': { name: 'Northern Mariana Islands',                     region: 'oceania',       tier: 'hard',   aliases: ['northern marianas', 'cnmi'] },
+      '612': { name: 'Pitcairn Islands',                             region: 'oceania',       tier: 'expert', aliases: ['pitcairn'] },
+      '630': { name: 'Puerto Rico',                                  region: 'caribbean',     tier: 'easy',   aliases: [] },
+      '652': { name: 'Saint Barthélemy',                             region: 'caribbean',     tier: 'expert', aliases: ['saint barthelemy', 'st barts', 'st barths'] },
+      '654': { name: 'Saint Helena',                                 region: 'africa',        tier: 'expert', aliases: ['st helena', 'st. helena'] },
+      '660': { name: 'Anguilla',                                     region: 'caribbean',     tier: 'expert', aliases: [] },
+      '663': { name: 'Saint Martin',                                 region: 'caribbean',     tier: 'expert', aliases: ['st martin', 'st. martin', 'saint-martin'] },
+      '666': { name: 'Saint Pierre and Miquelon',                    region: 'north-america', tier: 'expert', aliases: ['st pierre and miquelon', 'st. pierre and miquelon'] },
+      '796': { name: 'Turks and Caicos Islands',                     region: 'caribbean',     tier: 'hard',   aliases: ['turks and caicos'] },
+      '831': { name: 'Guernsey',                                     region: 'europe',        tier: 'hard',   aliases: [] },
+      '832': { name: 'Jersey',                                       region: 'europe',        tier: 'hard',   aliases: [] },
+      '833': { name: 'Isle of Man',                                  region: 'europe',        tier: 'medium', aliases: [] },
+      '850': { name: 'United States Virgin Islands',                 region: 'caribbean',     tier: 'hard',   aliases: ['us virgin islands', 'u.s. virgin islands', 'usvi'] },
+      '876': { name: 'Wallis and Futuna',                            region: 'oceania',       tier: 'expert', aliases: [] },
+    },
+  },
+};
+
+/** Pack ids in picker order, the world first. */
+export const PACK_ORDER = [WORLD_PACK, ...Object.keys(PACKS)];
+
+/** Returns true if id is the world or a pack in PACKS. */
+export function isValidPack(id) {
+  return PACK_ORDER.includes(id);
+}
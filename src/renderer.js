@@ -1,6 +1,11 @@
 // renderer.js — all DOM mutations live here.
 // game.js decides WHAT to do; renderer.js decides HOW to show it.
 
+import { escapeHtml }    from './utils.js';
+import { transformAttr } from './modifiers.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
 const svg            = document.getElementById('shape-svg');
 const countryPath    = document.getElementById('country-path');
 const streakCount    = document.getElementById('streak-count');
@@ -43,6 +48,15 @@ export function updateStreak(n) {
   streakCount.textContent = n;
 }
 
+/**
+ * Relabel the streak counter — "score" in modes where a miss doesn't reset it,
+ * with the modifier multiplier appended when one applies ("streak ×1.5").
+ * @param {string} label
+ */
+export function setStreakLabel(label) {
+  document.getElementById('streak-label').textContent = label;
+}
+
 /** Update the all-time high score display in the header. */
 export function updateHighScoreDisplay(score) {
   highScoreCount.textContent = score;
@@ -110,7 +124,90 @@ export function showAnswer(name) {
 /** Clear the answer reveal. */
 export function hideAnswer() {
   feedback.textContent = '';
+  feedback.classList.remove('reveal', 'close');
+}
+
+/**
+ * Tell the player their guess was a near-miss and put it back in the input
+ * so the spelling can be fixed without retyping the whole name.
+ *
+ * @param {string} raw  The near-miss the player submitted.
+ */
+export function showSpellingHint(raw) {
+  feedback.textContent = 'close — check spelling';
   feedback.classList.remove('reveal');
+  feedback.classList.add('close');
+  guessInput.value = raw;
+}
+
+/** Clear the near-miss hint, if one is showing. */
+export function hideSpellingHint() {
+  if (!feedback.classList.contains('close')) return;
+  feedback.textContent = '';
+  feedback.classList.remove('close');
+}
+
+/**
+ * Show the selected region in the region picker.
+ * @param {string} region
+ */
+export function setRegionPicker(region) {
+  document.getElementById('region-select').value = region;
+}
+
+/**
+ * Fill the pack picker, once at startup.
+ * @param {Array<{id: string, label: string}>} packs  In display order.
+ */
+export function setPackOptions(packs) {
+  document.getElementById('pack-select').replaceChildren(...packs.map(({ id, label }) => {
+    const option = document.createElement('option');
+    option.value       = id;
+    option.textContent = label;
+    return option;
+  }));
+}
+
+/**
+ * Set the pack picker's value.
+ * @param {string} pack
+ */
+export function setPackPicker(pack) {
+  document.getElementById('pack-select').value = pack;
+}
+
+/**
+ * Show or hide the pack and region pickers. Daily and locate only use the
+ * world's countries, and only the world has regions to pick from.
+ * @param {{ pack: boolean, region: boolean }} visible
+ */
+export function setPickers({ pack, region }) {
+  document.getElementById('pack-select').hidden   = !pack;
+  document.getElementById('region-select').hidden = !region;
+}
+
+/**
+ * Show the current spelling setting on its toggle button.
+ * @param {'strict'|'lenient'} spelling
+ */
+export function updateSpellingToggle(spelling) {
+  document.getElementById('spelling-btn').textContent = `spelling: ${spelling}`;
+}
+
+/**
+ * Show the current context setting on its toggle button.
+ * @param {'on'|'off'} context
+ */
+export function updateContextToggle(context) {
+  document.getElementById('context-btn').textContent = `context: ${context}`;
+}
+
+/**
+ * Update the territory toggle label.
+ * @param {'mainland'|'all'|'insets'} territories
+ */
+export function updateTerritoriesToggle(territories) {
+  document.getElementById('territories-btn').textContent = `territories: ${territories}`;
 }
 
 /** Show a loading message while country data is being fetched. */
@@ -153,3 +250,598 @@ export function showLoadError(message, onRetry) {
     document.getElementById('retry-btn').addEventListener('click', onRetry);
   }
 }
+
+/**
+ * Mark the given mode's tab as active; deactivate all others.
+ * @param {string} mode
+ */
+export function setActiveMode(mode) {
+  document.querySelectorAll('.mode-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.mode === mode);
+  });
+}
+
+/**
+ * Show how many countries are due for review next to the review tab.
+ * Hidden when nothing is due.
+ *
+ * @param {number} n
+ */
+export function updateDueCount(n) {
+  document.getElementById('due-count').textContent = n > 0 ? n : '';
+}
+
+// ── Blitz mode ────────────────────────────────────────────────────────────────
+
+const countdownDisplay = document.getElementById('countdown-display');
+const countdownCount   = document.getElementById('countdown-count');
+
+/** Seconds left at which the countdown turns red. */
+const COUNTDOWN_LOW_MS = 10_000;
+
+/**
+ * Show or hide the blitz countdown and length toggle.
+ * @param {boolean} enabled
+ */
+export function setBlitzMode(enabled) {
+  countdownDisplay.hidden = !enabled;
+  document.getElementById('blitz-length-btn').hidden = !enabled;
+}
+
+/**
+ * Update the blitz countdown in the header.
+ *
+ * @param {string} text  Formatted time left (see formatCountdown).
+ * @param {number} ms    Time left, used to flag the last few seconds.
+ */
+export function updateCountdown(text, ms) {
+  countdownCount.textContent = text;
+  countdownDisplay.classList.toggle('low', ms <= COUNTDOWN_LOW_MS);
+}
+
+/**
+ * Show the selected round length on its toggle button.
+ * @param {number} seconds
+ */
+export function updateBlitzLengthToggle(seconds) {
+  document.getElementById('blitz-length-btn').textContent = `${seconds}s`;
+}
+
+// ── Daily challenge ───────────────────────────────────────────────────────────
+
+const dailyProgress = document.getElementById('daily-progress');
+const dailyPanel    = document.getElementById('daily-panel');
+const dailyCopy     = document.getElementById('daily-copy');
+
+/**
+ * Show or hide the daily progress counter in the header.
+ * @param {boolean} enabled
+ */
+export function setDailyMode(enabled) {
+  dailyProgress.hidden = !enabled;
+}
+
+/**
+ * Update the daily progress counter ("7/20").
+ * @param {number} done
+ * @param {number} total
+ */
+export function updateDailyProgress(done, total) {
+  document.getElementById('daily-progress-count').textContent = `${done}/${total}`;
+}
+
+/**
+ * Open the daily result panel with the shareable result text.
+ * @param {string} text  See formatDailyResult().
+ */
+export function showDailyResult(text) {
+  document.getElementById('daily-result').textContent = text;
+  dailyCopy.textContent = 'copy result';
+  dailyPanel.hidden = false;
+}
+
+/** Close the daily result panel and return focus to the guess input. */
+export function hideDailyResult() {
+  dailyPanel.hidden = true;
+  guessInput.focus();
+}
+
+/** @returns {boolean} true while the daily result panel is open. */
+export function isDailyResultOpen() {
+  return !dailyPanel.hidden;
+}
+
+/**
+ * Report the outcome of a copy on the copy button.
+ * @param {boolean} copied  false when the clipboard was unavailable.
+ */
+export function showCopyStatus(copied) {
+  dailyCopy.textContent = copied ? 'copied!' : 'select the text to copy';
+}
+
+// ── Multiple choice ───────────────────────────────────────────────────────────
+
+const inputArea   = document.getElementById('input-area');
+const skipHint    = document.getElementById('skip-hint');
+const choiceBox   = document.getElementById('choices');
+const choiceBtns  = [...document.querySelectorAll('.choice-btn')];
+
+/**
+ * Switch between free-text input and the multiple-choice buttons.
+ * @param {boolean} enabled  true to show the buttons instead of the input.
+ */
+export function setChoiceMode(enabled) {
+  inputArea.hidden = enabled;
+  skipHint.hidden  = enabled;
+  choiceBox.hidden = !enabled;
+}
+
+/**
+ * Label the choice buttons for a new question and clear any marking.
+ * @param {Array<{ name: string }>} choices
+ */
+export function showChoices(choices) {
+  choiceBtns.forEach((btn, i) => {
+    btn.classList.remove('right', 'wrong');
+    btn.querySelector('.choice-name').textContent = choices[i] ? choices[i].name : '';
+    btn.disabled = !choices[i];
+  });
+}
+
+/**
+ * Mark the correct choice green and, if different, the picked one red.
+ * @param {number} correctIndex
+ * @param {number} pickedIndex
+ */
+export function revealChoice(correctIndex, pickedIndex) {
+  choiceBtns[correctIndex].classList.add('right');
+  if (pickedIndex !== correctIndex) choiceBtns[pickedIndex].classList.add('wrong');
+}
+
+// ── Shape modifiers ───────────────────────────────────────────────────────────
+
+const shapeGroup = document.getElementById('shape-group');
+const cropCircle = document.getElementById('crop-circle');
+
+/**
+ * Show or hide the modifier toggles (endless mode only).
+ * @param {boolean} visible
+ */
+export function setModifierBar(visible) {
+  document.getElementById('modifier-tabs').hidden = !visible;
+}
+
+/**
+ * Mark the enabled modifiers' toggles as active.
+ * @param {string[]} modifiers
+ */
+export function updateModifierToggles(modifiers) {
+  document.querySelectorAll('.modifier-btn').forEach(btn => {
+    btn.classList.toggle('active', modifiers.includes(btn.dataset.modifier));
+  });
+}
+
+/**
+ * Draw the current shape (with its context and neighbours) rotated,
+ * mirrored, cropped and/or revealed, or plainly for an empty transform.
+ * Restarts the reveal animation for every new shape.
+ *
+ * @param {ReturnType<typeof import('./modifiers.js').pickTransform>} transform
+ */
+export function applyShapeTransform(transform) {
+  const attr = transformAttr(transform);
+  if (attr) shapeGroup.setAttribute('transform', attr);
+  else      shapeGroup.removeAttribute('transform');
+
+  if (transform.crop) {
+    cropCircle.setAttribute('cx', transform.crop.cx);
+    cropCircle.setAttribute('cy', transform.crop.cy);
+    cropCircle.setAttribute('r',  transform.crop.r);
+    shapeGroup.setAttribute('clip-path', 'url(#crop-clip)');
+  } else {
+    shapeGroup.removeAttribute('clip-path');
+  }
+
+  countryPath.classList.remove('revealing');
+  if (transform.reveal) {
+    void svg.offsetWidth; // Force reflow — restarts the reveal for the new shape
+    countryPath.classList.add('revealing');
+  }
+}
+
+// ── Context ───────────────────────────────────────────────────────────────────
+
+const contextPaths = document.getElementById('context-paths');
+
+/**
+ * Replace a group's children with one filled path per entry.
+ *
+ * @param {SVGGElement} group
+ * @param {string[]}    paths  SVG path data.
+ */
+function fillGroup(group, paths) {
+  group.replaceChildren(...paths.map(d => {
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.setAttribute('d', d);
+    path.setAttribute('fill-rule', 'evenodd');
+    return path;
+  }));
+}
+
+/**
+ * Draw the surrounding countries faintly behind the current shape, or clear
+ * them with an empty list.
+ *
+ * @param {string[]} paths  SVG path data in the shape's frame.
+ */
+export function showContext(paths) {
+  fillGroup(contextPaths, paths);
+}
+
+// ── Locator inset ─────────────────────────────────────────────────────────────
+
+const insetSvg     = document.getElementById('inset-svg');
+const insetRegion  = document.getElementById('inset-region');
+const insetCountry = document.getElementById('inset-country');
+
+/**
+ * Show the corner inset locating a small country, or hide it with null.
+ * The country always sits at the centre of the inset, under the marker.
+ *
+ * @param {{ region: string[], country: string }|null} inset  SVG path data in the inset's frame.
+ */
+export function showInset(inset) {
+  insetSvg.hidden = !inset;
+  fillGroup(insetRegion, inset ? inset.region : []);
+  insetCountry.setAttribute('d', inset ? inset.country : '');
+}
+
+// ── Territory boxes ───────────────────────────────────────────────────────────
+
+const territoryBoxes = document.getElementById('territory-boxes');
+
+/**
+ * Draw one small box per cluster of distant territories (Alaska, Hawaii)
+ * along the bottom of the shape, or clear them with an empty list.
+ *
+ * @param {string[]} paths  SVG path data, each in its own 200×200 frame.
+ */
+export function showTerritoryBoxes(paths) {
+  territoryBoxes.hidden = paths.length === 0;
+  territoryBoxes.replaceChildren(...paths.map(d => {
+    const box  = document.createElementNS(SVG_NS, 'svg');
+    const path = document.createElementNS(SVG_NS, 'path');
+    box.setAttribute('viewBox', '0 0 200 200');
+    box.setAttribute('class', 'territory-box');
+    path.setAttribute('d', d);
+    path.setAttribute('fill-rule', 'evenodd');
+    box.append(path);
+    return box;
+  }));
+}
+
+// ── Hints ─────────────────────────────────────────────────────────────────────
+
+const hintRow        = document.getElementById('hint-row');
+const hintBtn        = document.getElementById('hint-btn');
+const hintText       = document.getElementById('hint-text');
+const neighbourPaths = document.getElementById('neighbour-paths');
+
+/**
+ * Show or hide the hint button and the context toggle (both are off in
+ * daily and locate modes).
+ * @param {boolean} enabled
+ */
+export function setHintsEnabled(enabled) {
+  hintRow.hidden = !enabled;
+  document.getElementById('context-btn').hidden = !enabled;
+}
+
+/**
+ * Show the clues revealed so far (see hintLines()).
+ *
+ * @param {string[]} lines
+ * @param {boolean}  exhausted  true once every hint has been used.
+ */
+export function showHints(lines, exhausted) {
+  hintText.textContent = lines.join(' · ');
+  hintBtn.disabled = exhausted;
+}
+
+/**
+ * Draw neighbouring countries in grey behind the current shape.
+ * @param {string[]} paths  SVG path data in the shape's frame.
+ */
+export function showNeighbours(paths) {
+  fillGroup(neighbourPaths, paths);
+}
+
+/** Clear every clue for a new country. */
+export function clearHints() {
+  hintText.textContent = '';
+  hintBtn.disabled = false;
+  neighbourPaths.replaceChildren();
+}
+
+// ── Locate mode ───────────────────────────────────────────────────────────────
+
+const shapeContainer = document.getElementById('shape-container');
+const worldMap       = document.getElementById('world-map');
+const worldShapes    = document.getElementById('world-shapes');
+const locatePrompt   = document.getElementById('locate-prompt');
+
+/**
+ * Switch between the single shape + input and the clickable world map.
+ * Call after setChoiceMode(), which also sets the input's visibility.
+ *
+ * @param {boolean} enabled
+ */
+export function setLocateMode(enabled) {
+  shapeContainer.hidden = enabled;
+  document.getElementById('territories-btn').hidden = enabled;
+  worldMap.hidden       = !enabled;
+  locatePrompt.hidden   = !enabled;
+  if (enabled) {
+    inputArea.hidden = true;
+    skipHint.hidden  = true;
+  }
+}
+
+/** @returns {boolean} true once drawWorldMap() has filled the map. */
+export function isWorldMapDrawn() {
+  return worldShapes.childElementCount > 0;
+}
+
+/**
+ * Fill the world map with one path per feature (see loadWorldMap()).
+ * Playable countries carry their id in data-id; the rest are scenery.
+ *
+ * @param {Array<{ id: number|null, path: string }>} shapes
+ */
+export function drawWorldMap(shapes) {
+  const fragment = document.createDocumentFragment();
+  for (const shape of shapes) {
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.setAttribute('d', shape.path);
+    path.setAttribute('fill-rule', 'evenodd');
+    if (shape.id === null) path.classList.add('scenery');
+    else                   path.dataset.id = shape.id;
+    fragment.appendChild(path);
+  }
+  worldShapes.replaceChildren(fragment);
+}
+
+/**
+ * Zoom the map and dim every country outside the pool.
+ *
+ * @param {[number, number, number, number]} viewBox  See fitViewBox().
+ * @param {Set<number>} poolIds
+ */
+export function setLocateView(viewBox, poolIds) {
+  worldMap.setAttribute('viewBox', viewBox.join(' '));
+  worldShapes.querySelectorAll('path[data-id]').forEach(path => {
+    path.classList.toggle('out', !poolIds.has(Number(path.dataset.id)));
+  });
+}
+
+/**
+ * Ask for the next country.
+ *
+ * @param {string} name
+ * @param {number} n      1-based position in the round.
+ * @param {number} total  Countries per round.
+ */
+export function showLocatePrompt(name, n, total) {
+  document.getElementById('locate-name').textContent  = name;
+  document.getElementById('locate-count').textContent = `(${n}/${total})`;
+}
+
+/**
+ * Colour the correct country green and, on a miss, the clicked one red.
+ *
+ * @param {number}      correctId
+ * @param {number|null} clickedId  null for a click on the sea or scenery.
+ */
+export function markLocate(correctId, clickedId) {
+  worldShapes.querySelectorAll(`path[data-id="${correctId}"]`)
+    .forEach(path => path.classList.add('target'));
+  if (clickedId === null || clickedId === correctId) return;
+  worldShapes.querySelectorAll(`path[data-id="${clickedId}"]`)
+    .forEach(path => path.classList.add('missed'));
+}
+
+/** Clear the marks left by markLocate(). */
+export function clearLocateMarks() {
+  worldShapes.querySelectorAll('.target, .missed')
+    .forEach(path => path.classList.remove('target', 'missed'));
+}
+
+/**
+ * Convert a click on the world map to map coordinates.
+ *
+ * @param {MouseEvent} e
+ * @returns {[number, number]|null} [x, y] in the world projection, or null
+ *          when the browser can't map screen to SVG coordinates.
+ */
+export function mapPointFromEvent(e) {
+  const ctm = worldMap.getScreenCTM && worldMap.getScreenCTM();
+  if (!ctm) return null;
+  const point = new DOMPoint(e.clientX, e.clientY).matrixTransform(ctm.inverse());
+  return [point.x, point.y];
+}
+
+// ── Stats panel ───────────────────────────────────────────────────────────────
+
+const statsPanel   = document.getElementById('stats-panel');
+const statsContent = document.getElementById('stats-content');
+
+/** Format a 0–1 accuracy as a whole percentage, or '–' when there is no data. */
+function formatPercent(accuracy) {
+  return accuracy === null ? '–' : `${Math.round(accuracy * 100)}%`;
+}
+
+/**
+ * Open the stats panel with the given summaries (see stats.js).
+ *
+ * @param {{ tiers: Array, countries: Array, confusions: Array }} stats
+ */
+export function showStats({ tiers, countries, confusions }) {
+  if (countries.length === 0) {
+    statsContent.innerHTML = '<p class="empty">no guesses recorded yet.</p>';
+  } else {
+    const tierRows = tiers.map(t => `
+      <tr><td>${t.tier}</td><td class="num">${t.correct}/${t.attempts}</td>
+          <td class="num">${formatPercent(t.accuracy)}</td></tr>`).join('');
+
+    const countryRows = countries.map(c => `
+      <tr><td>${escapeHtml(c.name)}</td><td>${c.tier}</td>
+          <td class="num">${c.correct}/${c.attempts}</td>
+          <td class="num">${formatPercent(c.accuracy)}</td>
+          <td class="num">${(c.avgMs / 1000).toFixed(1)}s</td></tr>`).join('');
+
+    const confusionRows = confusions.length === 0
+      ? '<p class="empty">no confusions yet.</p>'
+      : `<table>${confusions.map(c => `
+          <tr><td>typed ${escapeHtml(c.typed)} for ${escapeHtml(c.shown)}</td>
+              <td class="num">×${c.count}</td></tr>`).join('')}</table>`;
+
+    statsContent.innerHTML = `
+      <h3>by tier</h3>
+      <table>
+        <tr><th>tier</th><th class="num">right</th><th class="num">acc</th></tr>
+        ${tierRows}
+      </table>
+      <h3>common confusions</h3>
+      ${confusionRows}
+      <h3>by country (worst first)</h3>
+      <table>
+        <tr><th>country</th><th>tier</th><th class="num">right</th>
+            <th class="num">acc</th><th class="num">avg</th></tr>
+        ${countryRows}
+      </table>
+    `;
+  }
+  statsPanel.hidden = false;
+}
+
+/** Close the stats panel and return focus to the guess input. */
+export function hideStats() {
+  statsPanel.hidden = true;
+  guessInput.focus();
+}
+
+/** @returns {boolean} true while the stats panel is open. */
+export function isStatsOpen() {
+  return !statsPanel.hidden;
+}
+
+// ── Import panel ──────────────────────────────────────────────────────────────
+
+const importPanel   = document.getElementById('import-panel');
+const importFields  = document.getElementById('import-fields');
+const importName    = document.getElementById('import-name');
+const importAliases = document.getElementById('import-aliases');
+const importSummary = document.getElementById('import-summary');
+const importErrors  = document.getElementById('import-errors');
+const importPlay    = document.getElementById('import-play');
+
+/** Problems listed before the rest are summed up in one line. */
+const IMPORT_ERROR_LIMIT = 50;
+
+/** Fill a property <select>, optionally led by a "none" option. */
+function setPropertyOptions(select, properties, none) {
+  const options = properties.map(p => {
+    const option = document.createElement('option');
+    option.value = p;
+    option.textContent = p;
+    return option;
+  });
+  if (none) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = 'none';
+    options.unshift(option);
+  }
+  select.replaceChildren(...options);
+}
+
+/**
+ * Open the import panel for a parsed file, with pickers for the property
+ * holding each shape's name and the one holding its aliases.
+ *
+ * @param {{ fileName: string, count: number, properties: string[], nameProperty: string|null }} file
+ */
+export function showImport({ fileName, count, properties, nameProperty }) {
+  document.getElementById('import-file-name').textContent =
+    `${fileName} · ${count} feature${count === 1 ? '' : 's'}`;
+  setPropertyOptions(importName, properties, false);
+  setPropertyOptions(importAliases, properties, true);
+  if (nameProperty !== null) importName.value = nameProperty;
+  importFields.hidden = false;
+  importPanel.hidden = false;
+}
+
+/**
+ * Open the import panel with a file that couldn't be read at all.
+ * @param {string} fileName
+ * @param {string} message
+ */
+export function showImportError(fileName, message) {
+  document.getElementById('import-file-name').textContent = fileName;
+  importFields.hidden = true;
+  importSummary.textContent = message;
+  importErrors.replaceChildren();
+  importPlay.hidden = true;
+  importPanel.hidden = false;
+}
+
+/** @returns {{ nameProperty: string|null, aliasProperty: string|null }} The picked properties. */
+export function getImportOptions() {
+  return { nameProperty: importName.value || null, aliasProperty: importAliases.value || null };
+}
+
+/**
+ * Show how many shapes are ready to play and what's wrong with the rest.
+ *
+ * @param {number} ready
+ * @param {Array<{ feature: number, name: string|null, message: string }>} errors  See checkShapes().
+ */
+export function showImportCheck(ready, errors) {
+  importSummary.textContent = `${ready} shape${ready === 1 ? '' : 's'} ready`
+    + (errors.length ? ` · ${errors.length} problem${errors.length === 1 ? '' : 's'}` : '');
+
+  const items = errors.slice(0, IMPORT_ERROR_LIMIT).map(({ feature, name, message }) => {
+    const item = document.createElement('li');
+    item.textContent = `feature ${feature}${name ? ` (${name})` : ''} ${message}`;
+    return item;
+  });
+  if (errors.length > IMPORT_ERROR_LIMIT) {
+    const item = document.createElement('li');
+    item.textContent = `…and ${errors.length - IMPORT_ERROR_LIMIT} more`;
+    items.push(item);
+  }
+  importErrors.replaceChildren(...items);
+
+  importPlay.hidden   = false;
+  importPlay.disabled = ready === 0;
+  importPlay.textContent = `play ${ready} shape${ready === 1 ? '' : 's'}`;
+}
+
+/** Close the import panel and return focus to the guess input. */
+export function hideImport() {
+  importPanel.hidden = true;
+  guessInput.focus();
+}
+
+/** @returns {boolean} true while the import panel is open. */
+export function isImportOpen() {
+  return !importPanel.hidden;
+}
+
+/**
+ * Outline the page while a file is dragged over it.
+ * @param {boolean} active
+ */
+export function setDropHighlight(active) {
+  document.body.classList.toggle('dropping', active);
+}
@@ -0,0 +1,115 @@
+// review.js — pure spaced-repetition scheduling for review mode.
+// A simplified SM-2: every answer is graded pass/fail, correct answers grow
+// the interval by the card's ease factor, misses reset it and lower the ease.
+// No DOM, no localStorage — persistence lives in storage.js.
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const REVIEW_DEFAULTS = {
+  EASE:         2.5,    // Starting ease factor (SM-2 default)
+  MIN_EASE:     1.3,    // Ease never drops below this, or intervals stop growing
+  EASE_BONUS:   0.1,    // Added to ease on every correct answer
+  EASE_PENALTY: 0.2,    // Subtracted from ease on every miss
+  RELEARN_MS:   60_000, // A missed country comes back after one minute
+};
+
+const TIER_ORDER = ['easy', 'medium', 'hard', 'expert'];
+
+/**
+ * Return a fresh schedule card for a country that has never been reviewed.
+ *
+ * @returns {{ ease: number, interval: number, due: number, lapses: number, reps: number }}
+ */
+export function newCard() {
+  return { ease: REVIEW_DEFAULTS.EASE, interval: 0, due: 0, lapses: 0, reps: 0 };
+}
+
+/**
+ * Apply one answer to a schedule card and return the updated card.
+ * Never mutates the input card.
+ *
+ * Correct: interval goes 1 day → 6 days → interval × ease.
+ * Miss:    interval resets to 0, lapse count increments, due in RELEARN_MS.
+ *
+ * @param {object|undefined} card     Existing card, or undefined for a new country.
+ * @param {boolean}          correct
+ * @param {number}           now      Timestamp in ms (Date.now()).
+ * @returns {{ ease: number, interval: number, due: number, lapses: number, reps: number }}
+ */
+export function scheduleReview(card, correct, now) {
+  const prev = card ?? newCard();
+
+  if (!correct) {
+    return {
+      ease:     Math.max(REVIEW_DEFAULTS.MIN_EASE, prev.ease - REVIEW_DEFAULTS.EASE_PENALTY),
+      interval: 0,
+      due:      now + REVIEW_DEFAULTS.RELEARN_MS,
+      lapses:   prev.lapses + 1,
+      reps:     0,
+    };
+  }
+
+  const reps = prev.reps + 1;
+  let interval;
+  if (reps === 1)      interval = 1;
+  else if (reps === 2) interval = 6;
+  else                 interval = Math.round(prev.interval * prev.ease);
+
+  return {
+    ease:     prev.ease + REVIEW_DEFAULTS.EASE_BONUS,
+    interval,
+    due:      now + interval * DAY_MS,
+    lapses:   prev.lapses,
+    reps,
+  };
+}
+
+/**
+ * Return the countries whose schedule card is due, most overdue first.
+ * Countries with no card yet are not "due" — they are new.
+ *
+ * @param {Array<{id: number}>} countries
+ * @param {Object<string, {due: number}>} schedule  Keyed by country id.
+ * @param {number} now
+ * @returns {Array}
+ */
+export function getDueCountries(countries, schedule, now) {
+  return countries
+    .filter(c => schedule[c.id] && schedule[c.id].due <= now)
+    .sort((a, b) => schedule[a.id].due - schedule[b.id].due);
+}
+
+/**
+ * Pick the next country to show in review mode.
+ *
+ * Priority:
+ *   1. The most overdue scheduled country.
+ *   2. A new (never reviewed) country, easiest tier first.
+ *   3. Nothing is due and nothing is new — the country due soonest (study ahead).
+ *
+ * The excluded country (the one just shown) is skipped unless it is the only
+ * candidate, so a miss never repeats immediately.
+ *
+ * @param {Array<{id: number, tier: string}>} countries
+ * @param {Object<string, object>} schedule
+ * @param {number} now
+ * @param {{ id: number }|null} exclude
+ * @returns {{ id: number, tier: string }|undefined}
+ */
+export function pickReviewCountry(countries, schedule, now, exclude) {
+  const candidates = countries.filter(c => !exclude || c.id !== exclude.id);
+  if (candidates.length === 0) return countries[0];
+
+  const due = getDueCountries(candidates, schedule, now);
+  if (due.length > 0) return due[0];
+
+  const fresh = candidates.filter(c => !schedule[c.id]);
+  if (fresh.length > 0) {
+    const tierIdx = c => TIER_ORDER.indexOf(c.tier);
+    const easiest = Math.min(...fresh.map(tierIdx));
+    const pool    = fresh.filter(c => tierIdx(c) === easiest);
+    return pool[Math.floor(Math.random() * pool.length)];
+  }
+
+  return [...candidates].sort((a, b) => schedule[a.id].due - schedule[b.id].due)[0];
+}
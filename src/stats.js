@@ -0,0 +1,109 @@
+// stats.js — pure aggregation over the guess log for the stats screen.
+// Every function takes the log and country list explicitly; no storage access.
+
+import { normalise } from './utils.js';
+
+const TIER_ORDER = ['easy', 'medium', 'hard', 'expert'];
+
+/**
+ * Accuracy and average answer time per country, worst accuracy first.
+ * Countries that were never shown are omitted.
+ *
+ * @param {Array<{id: number, correct: boolean, ms: number}>} log
+ * @param {Array<{id: number, name: string, tier: string}>}   countries
+ * @returns {Array<{ id: number, name: string, tier: string, attempts: number,
+ *                   correct: number, accuracy: number, avgMs: number }>}
+ */
+export function summariseByCountry(log, countries) {
+  const byId = new Map(countries.map(c => [c.id, c]));
+  const rows = new Map();
+
+  for (const entry of log) {
+    const country = byId.get(entry.id);
+    if (!country) continue; // Country no longer in the pool — ignore stale entries
+    let row = rows.get(entry.id);
+    if (!row) {
+      row = { id: country.id, name: country.name, tier: country.tier, attempts: 0, correct: 0, totalMs: 0 };
+      rows.set(entry.id, row);
+    }
+    row.attempts += 1;
+    row.totalMs  += entry.ms;
+    if (entry.correct) row.correct += 1;
+  }
+
+  return [...rows.values()]
+    .map(({ totalMs, ...row }) => ({
+      ...row,
+      accuracy: row.correct / row.attempts,
+      avgMs:    Math.round(totalMs / row.attempts),
+    }))
+    .sort((a, b) => a.accuracy - b.accuracy || b.attempts - a.attempts);
+}
+
+/**
+ * Accuracy per difficulty tier, in easy → expert order.
+ * Tiers with no attempts are included with accuracy null.
+ *
+ * @param {Array<{id: number, correct: boolean}>} log
+ * @param {Array<{id: number, tier: string}>}     countries
+ * @returns {Array<{ tier: string, attempts: number, correct: number, accuracy: number|null }>}
+ */
+export function summariseByTier(log, countries) {
+  const tierOf = new Map(countries.map(c => [c.id, c.tier]));
+  const totals = Object.fromEntries(TIER_ORDER.map(t => [t, { attempts: 0, correct: 0 }]));
+
+  for (const entry of log) {
+    const tier = tierOf.get(entry.id);
+    if (!tier || !totals[tier]) continue;
+    totals[tier].attempts += 1;
+    if (entry.correct) totals[tier].correct += 1;
+  }
+
+  return TIER_ORDER.map(tier => ({
+    tier,
+    ...totals[tier],
+    accuracy: totals[tier].attempts ? totals[tier].correct / totals[tier].attempts : null,
+  }));
+}
+
+/**
+ * Most frequent confusions: wrong answers that were a valid name for some
+ * other country ("typed Niger for Nigeria"). Misspellings and skips are not
+ * confusions and are ignored.
+ *
+ * @param {Array<{id: number, correct: boolean, typed: string}>} log
+ * @param {Array<{id: number, name: string, aliases: string[]}>} countries
+ * @param {number} [limit=10]
+ * @returns {Array<{ shown: string, typed: string, count: number }>}
+ */
+export function findConfusions(log, countries, limit = 10) {
+  const byId   = new Map(countries.map(c => [c.id, c]));
+  const counts = new Map();
+
+  // Normalised name or alias → every shape it names (see matches()), built
+  // once rather than renormalising every name for each log entry
+  const byName = new Map();
+  for (const c of countries) {
+    for (const name of new Set([c.name, ...c.aliases].map(normalise))) {
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push(c);
+    }
+  }
+
+  for (const entry of log) {
+    if (entry.correct || !entry.typed) continue;
+    const shown = byId.get(entry.id);
+    if (!shown) continue;
+    const typedAs = byName.get(normalise(entry.typed))?.find(c => c.id !== shown.id);
+    if (!typedAs) continue;
+
+    const key = `${shown.id}→${typedAs.id}`;
+    const row = counts.get(key) ?? { shown: shown.name, typed: typedAs.name, count: 0 };
+    row.count += 1;
+    counts.set(key, row);
+  }
+
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
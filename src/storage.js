@@ -1,13 +1,34 @@
 // storage.js — pure localStorage helpers, no DOM, fully testable.
 
+import { isValidMode, isValidRegion, BLITZ_DURATIONS,
+         TERRITORY_SETTINGS }                        from './gameState.js';
+import { normaliseModifiers }                         from './modifiers.js';
+import { isValidPack, WORLD_PACK }                    from './packs.js';
+
 export const HIGH_SCORE_KEY = 'outlinr_high_score';
 
 /**
- * Return the all-time high score, or 0 if none stored yet.
+ * Return the localStorage key for the high score with a modifier set (see
+ * modifiers.js). Each set has its own record; playing without modifiers
+ * keeps the original key.
+ *
+ * @param {string[]} [modifiers=[]]
+ * @returns {string}
+ */
+export function highScoreKey(modifiers = []) {
+  const set = normaliseModifiers(modifiers);
+  return set.length === 0 ? HIGH_SCORE_KEY : `${HIGH_SCORE_KEY}_${set.join('+')}`;
+}
+
+/**
+ * Return the all-time high score, or 0 if none stored yet. Scores are saved
+ * in whole points (see finalScore() in modifiers.js).
+ *
+ * @param {string[]} [modifiers=[]]
  * @returns {number}
  */
-export function getHighScore() {
-  const stored = parseInt(localStorage.getItem(HIGH_SCORE_KEY), 10);
+export function getHighScore(modifiers = []) {
+  const stored = parseInt(localStorage.getItem(highScoreKey(modifiers)), 10);
   return isNaN(stored) ? 0 : stored;
 }
 
@@ -15,11 +36,342 @@ export function getHighScore() {
  * Update the stored high score if streak is a new record.
  * No-op if streak <= current high score.
  *
- * @param {number} streak
+ * @param {number}   streak
+ * @param {string[]} [modifiers=[]]  Modifier set the score was made with.
+ * @returns {boolean} true if a new record was set
+ */
+export function updateHighScore(streak, modifiers = []) {
+  if (streak <= getHighScore(modifiers)) return false;
+  localStorage.setItem(highScoreKey(modifiers), streak);
+  return true;
+}
+
+export const MODE_KEY            = 'outlinr_mode';
+export const REVIEW_SCHEDULE_KEY = 'outlinr_review_schedule';
+
+/**
+ * Return the last selected game mode. Defaults to 'endless' if nothing is
+ * stored or the stored value is no longer a valid mode.
+ * @returns {string}
+ */
+export function getMode() {
+  const stored = localStorage.getItem(MODE_KEY);
+  return isValidMode(stored) ? stored : 'endless';
+}
+
+/**
+ * Persist the selected game mode.
+ * @param {string} mode
+ */
+export function setMode(mode) {
+  localStorage.setItem(MODE_KEY, mode);
+}
+
+/**
+ * Return the review-mode schedule: country id → card (see review.js).
+ * Returns an empty schedule when nothing is stored or the data is corrupt.
+ * @returns {Object<string, object>}
+ */
+export function getReviewSchedule() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(REVIEW_SCHEDULE_KEY));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Persist the full review-mode schedule.
+ * @param {Object<string, object>} schedule
+ */
+export function saveReviewSchedule(schedule) {
+  localStorage.setItem(REVIEW_SCHEDULE_KEY, JSON.stringify(schedule));
+}
+
+export const GUESS_LOG_KEY   = 'outlinr_guess_log';
+export const GUESS_LOG_LIMIT = 5000; // Oldest entries are dropped beyond this
+
+/**
+ * Return every recorded guess, oldest first.
+ * Each entry: { id, correct, typed, ms, at }. Skips have typed === ''.
+ * Returns an empty log when nothing is stored or the data is corrupt.
+ * @returns {Array<{id: number|string, correct: boolean, typed: string, ms: number, at: number}>}
+ */
+export function getGuessLog() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(GUESS_LOG_KEY));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Append one guess to the log, trimming the oldest entries past GUESS_LOG_LIMIT
+ * so localStorage never grows without bound.
+ *
+ * @param {{id: number|string, correct: boolean, typed: string, ms: number, at: number}} entry
+ */
+export function recordGuess(entry) {
+  const log = getGuessLog();
+  log.push(entry);
+  localStorage.setItem(GUESS_LOG_KEY, JSON.stringify(log.slice(-GUESS_LOG_LIMIT)));
+}
+
+/** Delete the entire guess log. */
+export function clearGuessLog() {
+  localStorage.removeItem(GUESS_LOG_KEY);
+}
+
+export const SPELLING_KEY = 'outlinr_spelling';
+
+/**
+ * Return the spelling setting: 'strict' (near-misses must be retyped) or
+ * 'lenient' (near-misses are accepted). Defaults to 'strict'.
+ * @returns {'strict'|'lenient'}
+ */
+export function getSpelling() {
+  return localStorage.getItem(SPELLING_KEY) === 'lenient' ? 'lenient' : 'strict';
+}
+
+/**
+ * Persist the spelling setting.
+ * @param {'strict'|'lenient'} spelling
+ */
+export function setSpelling(spelling) {
+  localStorage.setItem(SPELLING_KEY, spelling);
+}
+
+export const MODIFIERS_KEY = 'outlinr_modifiers';
+
+/**
+ * Return the enabled endless-mode modifiers, in canonical order.
+ * Returns none when nothing is stored or the data is corrupt.
+ * @returns {string[]}
+ */
+export function getModifiers() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(MODIFIERS_KEY));
+    return Array.isArray(parsed) ? normaliseModifiers(parsed) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Persist the enabled modifiers.
+ * @param {string[]} modifiers
+ */
+export function setModifiers(modifiers) {
+  localStorage.setItem(MODIFIERS_KEY, JSON.stringify(normaliseModifiers(modifiers)));
+}
+
+export const CONTEXT_KEY = 'outlinr_context';
+
+/**
+ * Return the context setting: 'on' draws the surrounding countries around
+ * the shape, 'off' shows it on its own. Defaults to 'off'.
+ * @returns {'on'|'off'}
+ */
+export function getContext() {
+  return localStorage.getItem(CONTEXT_KEY) === 'on' ? 'on' : 'off';
+}
+
+/**
+ * Persist the context setting.
+ * @param {'on'|'off'} context
+ */
+export function setContext(context) {
+  localStorage.setItem(CONTEXT_KEY, context);
+}
+
+export const TERRITORIES_KEY = 'outlinr_territories';
+
+/**
+ * Return the territory setting (default: the first of TERRITORY_SETTINGS).
+ * @returns {'mainland'|'all'|'insets'}
+ */
+export function getTerritories() {
+  const stored = localStorage.getItem(TERRITORIES_KEY);
+  return TERRITORY_SETTINGS.includes(stored) ? stored : TERRITORY_SETTINGS[0];
+}
+
+/**
+ * Persist the territory setting.
+ * @param {'mainland'|'all'|'insets'} territories
+ */
+export function setTerritories(territories) {
+  localStorage.setItem(TERRITORIES_KEY, territories);
+}
+
+export const BLITZ_LENGTH_KEY       = 'outlinr_blitz_length';
+export const BLITZ_LEADERBOARD_SIZE = 10;
+
+/**
+ * Return the localStorage key for a blitz leaderboard.
+ * Throws on unsupported round lengths so callers fail fast.
+ *
+ * @param {number} seconds  One of BLITZ_DURATIONS.
+ * @returns {string}
+ */
+export function blitzKey(seconds) {
+  if (!BLITZ_DURATIONS.includes(seconds)) throw new Error(`Unknown blitz length: ${seconds}`);
+  return `outlinr_blitz_${seconds}`;
+}
+
+/**
+ * Return the blitz leaderboard for a round length, best score first.
+ * Returns an empty board when nothing is stored or the data is corrupt.
+ *
+ * @param {number} seconds
+ * @returns {Array<{score: number, at: number}>}
+ */
+export function getBlitzScores(seconds) {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(blitzKey(seconds)));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Return the best blitz score for a round length, or 0 if none stored yet.
+ * @param {number} seconds
+ * @returns {number}
+ */
+export function getBlitzBest(seconds) {
+  const [best] = getBlitzScores(seconds);
+  return best ? best.score : 0;
+}
+
+/**
+ * Add a finished blitz round to its leaderboard, keeping the top
+ * BLITZ_LEADERBOARD_SIZE scores. Ties keep the earlier round ahead.
+ * A score of 0 is never recorded.
+ *
+ * @param {number} seconds
+ * @param {number} score
+ * @param {number} [at=Date.now()]
+ * @returns {number} 1-based leaderboard position, or 0 if it didn't place
+ */
+export function recordBlitzScore(seconds, score, at = Date.now()) {
+  if (score <= 0) return 0;
+  const entry = { score, at };
+  const board = [...getBlitzScores(seconds), entry]
+    .sort((a, b) => b.score - a.score || a.at - b.at)
+    .slice(0, BLITZ_LEADERBOARD_SIZE);
+  localStorage.setItem(blitzKey(seconds), JSON.stringify(board));
+  return board.indexOf(entry) + 1;
+}
+
+/**
+ * Return the selected blitz round length in seconds (default: the first
+ * entry of BLITZ_DURATIONS).
+ * @returns {number}
+ */
+export function getBlitzLength() {
+  const stored = parseInt(localStorage.getItem(BLITZ_LENGTH_KEY), 10);
+  return BLITZ_DURATIONS.includes(stored) ? stored : BLITZ_DURATIONS[0];
+}
+
+/**
+ * Persist the selected blitz round length.
+ * @param {number} seconds
+ */
+export function setBlitzLength(seconds) {
+  localStorage.setItem(BLITZ_LENGTH_KEY, seconds);
+}
+
+export const DAILY_KEY = 'outlinr_daily';
+
+const DAILY_MARK_VALUES = ['correct', 'wrong', 'skip'];
+
+/**
+ * Return the answers given so far in the daily challenge for `key`.
+ * Progress from any other day, or corrupt data, counts as no progress.
+ *
+ * @param {string} key  See dailyKey() in daily.js.
+ * @returns {Array<'correct'|'wrong'|'skip'>}
+ */
+export function getDailyProgress(key) {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(DAILY_KEY));
+    if (!parsed || parsed.key !== key || !Array.isArray(parsed.marks)) return [];
+    return parsed.marks.filter(m => DAILY_MARK_VALUES.includes(m));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Persist the daily challenge answers. Only the current day is kept.
+ *
+ * @param {string} key
+ * @param {Array<'correct'|'wrong'|'skip'>} marks
+ */
+export function saveDailyProgress(key, marks) {
+  localStorage.setItem(DAILY_KEY, JSON.stringify({ key, marks }));
+}
+
+export const REGION_KEY = 'outlinr_region';
+
+/**
+ * Return the saved region filter (default: 'all').
+ * @returns {string} One of REGIONS in gameState.js.
+ */
+export function getRegion() {
+  const stored = localStorage.getItem(REGION_KEY);
+  return isValidRegion(stored) ? stored : 'all';
+}
+
+/**
+ * Persist the region filter.
+ * @param {string} region
+ */
+export function setRegion(region) {
+  localStorage.setItem(REGION_KEY, region);
+}
+
+export const PACK_KEY = 'outlinr_pack';
+
+/**
+ * Return the selected shape pack (default: the world's countries).
+ * @returns {string} WORLD_PACK or a key of PACKS in packs.js.
+ */
+export function getPack() {
+  const stored = localStorage.getItem(PACK_KEY);
+  return isValidPack(stored) ? stored : WORLD_PACK;
+}
+
+/**
+ * Persist the selected shape pack.
+ * @param {string} pack
+ */
+export function setPack(pack) {
+  localStorage.setItem(PACK_KEY, pack);
+}
+
+export const LOCATE_BEST_KEY = 'outlinr_locate_best';
+
+/**
+ * Return the best locate-mode round score, or 0 if none stored yet.
+ * @returns {number}
+ */
+export function getLocateBest() {
+  const stored = parseInt(localStorage.getItem(LOCATE_BEST_KEY), 10);
+  return isNaN(stored) ? 0 : stored;
+}
+
+/**
+ * Update the stored locate best if score is a new record.
+ *
+ * @param {number} score  Points for a finished round.
  * @returns {boolean} true if a new record was set
  */
-export function updateHighScore(streak) {
-  if (streak <= getHighScore()) return false;
-  localStorage.setItem(HIGH_SCORE_KEY, streak);
+export function updateLocateBest(score) {
+  if (score <= getLocateBest()) return false;
+  localStorage.setItem(LOCATE_BEST_KEY, score);
   return true;
 }
@@ -34,6 +34,77 @@ export function matches(input, country) {
   return country.aliases.some(alias => normalise(alias) === norm);
 }
 
+/**
+ * Levenshtein edit distance between two strings (insert, delete, substitute).
+ * Two-row dynamic programming — O(a × b) time, O(b) memory.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Maximum edit distance that still counts as a near-miss for a name of the
+ * given (normalised) length. Short names get no tolerance so that
+ * "Iran"/"Iraq" or "Mali"/"Bali" are never confused.
+ *
+ *   1–4 chars → 0   5–9 → 1   10–14 → 2   15+ → 3
+ *
+ * @param {number} length
+ * @returns {number}
+ */
+export function typoThreshold(length) {
+  return Math.min(Math.floor(length / 5), 3);
+}
+
+/**
+ * Grade a player's input against a country, tolerating small typos.
+ * Pure function — the other countries are passed in explicitly so that an
+ * input naming a different country ("Austria" for Australia) is never
+ * treated as a near-miss.
+ *
+ *   'correct' — exact match (see matches()), or a near-miss when lenient
+ *   'close'   — within typoThreshold() of the name or an alias (strict only)
+ *   'wrong'   — anything else
+ *
+ * @param {string} input
+ * @param {{ name: string, aliases: string[] }} country
+ * @param {{ spelling?: 'strict'|'lenient', others?: Array<{ name: string, aliases: string[] }> }} [options]
+ * @returns {'correct'|'close'|'wrong'}
+ */
+export function matchGuess(input, country, { spelling = 'strict', others = [] } = {}) {
+  if (matches(input, country)) return 'correct';
+
+  const norm = normalise(input);
+  if (!norm) return 'wrong';
+  if (others.some(other => other !== country && matches(input, other))) return 'wrong';
+
+  const isClose = [country.name, ...country.aliases].some(candidate => {
+    const target = normalise(candidate);
+    const limit  = typoThreshold(target.length);
+    return limit > 0 && levenshtein(norm, target) <= limit;
+  });
+
+  if (!isClose) return 'wrong';
+  return spelling === 'lenient' ? 'correct' : 'close';
+}
+
 /**
  * Escape a string for safe injection into innerHTML.
  * Covers the five characters that can introduce XSS in HTML contexts.
@@ -50,11 +121,53 @@ export function escapeHtml(str) {
     .replace(/'/g, '&#39;');
 }
 
-/** Fisher-Yates shuffle. Returns a new array, never mutates the input. */
-export function shuffle(arr) {
+/**
+ * Hash a string to an unsigned 32-bit integer (FNV-1a), for turning a seed
+ * such as a date into a PRNG seed.
+ *
+ * @param {string} str
+ * @returns {number}
+ */
+export function hashSeed(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Seedable PRNG (mulberry32). The returned function is a drop-in for
+ * Math.random — a float in [0, 1) — and yields the same sequence on every
+ * device for the same seed.
+ *
+ * @param {number} seed  Unsigned 32-bit integer (see hashSeed).
+ * @returns {() => number}
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher-Yates shuffle. Returns a new array, never mutates the input.
+ * Pass a seeded `random` (see createRng) for a reproducible order.
+ *
+ * @param {Array} arr
+ * @param {() => number} [random=Math.random]
+ * @returns {Array}
+ */
+export function shuffle(arr, random = Math.random) {
   const a = [...arr];
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a;